@@ -0,0 +1,103 @@
+/**
+ * 行画像の切り出し・前処理の旧実装（ベンチマークの比較用）
+ * 行ごとに中間キャンバスと入力テンソルを作成していた実装
+ */
+
+/**
+ * 画像から指定領域を切り出し
+ */
+export function cropRegion(sourceCanvas, region) {
+  const canvas = new OffscreenCanvas(
+    region.width,
+    region.height
+  );
+  const ctx = canvas.getContext('2d');
+
+  // 指定領域を切り出し
+  ctx.drawImage(
+    sourceCanvas,
+    region.x,
+    region.y,
+    region.width,
+    region.height,
+    0,
+    0,
+    region.width,
+    region.height
+  );
+
+  return ctx.getImageData(
+    0,
+    0,
+    region.width,
+    region.height
+  );
+}
+
+/**
+ * 画像の前処理（回転・リサイズ・正規化）
+ */
+export function preprocess(imageData, inputShape) {
+  const [batchSize, channels, height, width] = inputShape;
+
+  // 画像サイズ取得
+  const imgWidth = imageData.width;
+  const imgHeight = imageData.height;
+
+  // キャンバス準備（回転含むので一旦大きめ）
+  const canvas = new OffscreenCanvas(1, 1);
+  const ctx = canvas.getContext('2d');
+
+  if (imgHeight > imgWidth) {
+    // 縦長画像は90度回転（時計回り）
+    canvas.width = imgHeight;
+    canvas.height = imgWidth;
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.translate(-canvas.height / 2, -canvas.width / 2);
+  } else {
+    canvas.width = imgWidth;
+    canvas.height = imgHeight;
+  }
+
+  // 描画
+  const tempCanvas = new OffscreenCanvas(
+    imageData.width,
+    imageData.height
+  );
+  const tempCtx = tempCanvas.getContext('2d');
+  tempCtx.putImageData(imageData, 0, 0);
+  ctx.drawImage(tempCanvas, 0, 0);
+
+  // 固定リサイズ（アスペクト比無視）
+  const resizeCanvas = new OffscreenCanvas(width, height);
+  const resizeCtx = resizeCanvas.getContext('2d');
+  resizeCtx.drawImage(canvas, 0, 0, width, height);
+
+  const resizedImageData = resizeCtx.getImageData(
+    0,
+    0,
+    width,
+    height
+  );
+  const data = resizedImageData.data;
+
+  // Float32Arrayに変換（正規化: [-1, 1]）
+  const inputTensor = new Float32Array(
+    batchSize * channels * height * width
+  );
+
+  for (let h = 0; h < height; h++) {
+    for (let w = 0; w < width; w++) {
+      const pixelOffset = (h * width + w) * 4;
+      for (let c = 0; c < channels; c++) {
+        const value = data[pixelOffset + c] / 255.0;
+        const tensorIdx =
+          c * height * width + h * width + w;
+        inputTensor[tensorIdx] = 2.0 * (value - 0.5);
+      }
+    }
+  }
+
+  return inputTensor;
+}
@@ -0,0 +1,242 @@
+/**
+ * 行画像の切り出し・前処理のベンチマーク
+ * 多数の行を含む合成ページで、旧実装と現在の実装（TextRecognizer.drawLine・writeTensor）の
+ * crop・recognitionPreprocess の所要時間とJSヒープの使用量を比較する
+ */
+
+import { TextRecognizer } from '../src/worker/text-recognizer.js';
+import { Profiler } from '../src/worker/profiler.js';
+import {
+  cropRegion,
+  preprocess,
+} from './legacy-line-preprocess.js';
+
+/**
+ * 縦書きの行を並べた合成ページを生成
+ * 2段組で各段に lines / 2 行を並べ、行内に墨の字形を模した矩形を描く
+ *
+ * @returns {{canvas: OffscreenCanvas, regions: Array<Object>}} ページと行の領域
+ */
+export function createPage({
+  lines = 200,
+  width = 4960,
+  height = 3508,
+} = {}) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f4efe4';
+  ctx.fillRect(0, 0, width, height);
+
+  // 実行ごとに同じページになるよう固定のシードで生成
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const perTier = Math.ceil(lines / 2);
+  const pitch = Math.floor((width - 200) / perTier);
+  const lineWidth = Math.max(8, pitch - 8);
+  const tierHeight = Math.floor((height - 300) / 2);
+  const regions = [];
+  ctx.fillStyle = '#1a1a1a';
+  for (let i = 0; i < lines; i++) {
+    const tier = Math.floor(i / perTier);
+    const region = {
+      // 縦書きの行は右から左に並ぶ
+      x: width - 100 - ((i % perTier) + 1) * pitch,
+      y: 100 + tier * (tierHeight + 100),
+      width: lineWidth,
+      height: Math.round(
+        tierHeight * (0.5 + random() * 0.5)
+      ),
+    };
+    for (
+      let y = region.y;
+      y < region.y + region.height - lineWidth;
+      y += lineWidth
+    ) {
+      for (let k = 0; k < 4; k++) {
+        ctx.fillRect(
+          region.x + random() * lineWidth * 0.8,
+          y + random() * lineWidth * 0.8,
+          1 + random() * lineWidth * 0.5,
+          1 + random() * lineWidth * 0.5
+        );
+      }
+    }
+    regions.push(region);
+  }
+  return { canvas, regions };
+}
+
+/**
+ * 旧実装: 行ごとに中間キャンバスと入力テンソルを作成
+ */
+function runLegacy(
+  source,
+  regions,
+  batchSize,
+  profiler,
+  onBatch
+) {
+  const inputShape = new TextRecognizer().config.inputShape;
+  for (
+    let start = 0;
+    start < regions.length;
+    start += batchSize
+  ) {
+    const tensors = [];
+    for (const region of regions.slice(
+      start,
+      start + batchSize
+    )) {
+      const cropped = profiler.measureSync('crop', () =>
+        cropRegion(source, region)
+      );
+      tensors.push(
+        profiler.measureSync('recognitionPreprocess', () =>
+          preprocess(cropped, inputShape)
+        )
+      );
+    }
+    onBatch();
+  }
+}
+
+/**
+ * 現在の実装: 作業キャンバスと入力バッファを再利用
+ */
+function runCurrent(
+  recognizer,
+  source,
+  regions,
+  batchSize,
+  profiler,
+  onBatch
+) {
+  const [, channels, height, width] =
+    recognizer.config.inputShape;
+  const size = channels * height * width;
+  for (
+    let start = 0;
+    start < regions.length;
+    start += batchSize
+  ) {
+    const buffer = recognizer.getInputBuffer(batchSize);
+    regions
+      .slice(start, start + batchSize)
+      .forEach((region, j) => {
+        const line = profiler.measureSync('crop', () =>
+          recognizer.drawLine(source, region)
+        );
+        profiler.measureSync('recognitionPreprocess', () =>
+          recognizer.writeTensor(line, buffer, j * size)
+        );
+      });
+    onBatch();
+  }
+}
+
+/**
+ * 使用中のJSヒープ（Chromium の performance.memory のみ）
+ */
+function usedHeapSize() {
+  return performance.memory?.usedJSHeapSize ?? null;
+}
+
+/**
+ * 旧実装と現在の実装を交互に rounds 回ずつ実行して比較
+ * 最初の1回は JIT・キャンバスの初期化の影響を除くため集計しない
+ * ヒープは実行前を基準に、バッチごとに計測した使用量の最大値との差を求める
+ * （gc() を利用できる場合は実行前に回収する。Chromium では --js-flags=--expose-gc で有効）
+ *
+ * @returns {Promise<Object>} 実装ごとの crop・recognitionPreprocess の集計とヒープの増加量の最大値（バイト）
+ */
+export async function runBenchmark({
+  lines = 200,
+  rounds = 5,
+  batchSize = 8,
+  onProgress,
+} = {}) {
+  const { canvas, regions } = createPage({ lines });
+  const recognizer = new TextRecognizer();
+  const runners = {
+    legacy: (profiler, onBatch) =>
+      runLegacy(
+        canvas,
+        regions,
+        batchSize,
+        profiler,
+        onBatch
+      ),
+    current: (profiler, onBatch) =>
+      runCurrent(
+        recognizer,
+        canvas,
+        regions,
+        batchSize,
+        profiler,
+        onBatch
+      ),
+  };
+
+  const results = {};
+  for (const name of Object.keys(runners)) {
+    results[name] = {
+      profiler: new Profiler(),
+      heapGrowth: [],
+    };
+    runners[name](new Profiler(), () => {});
+  }
+
+  for (let round = 0; round < rounds; round++) {
+    for (const [name, run] of Object.entries(runners)) {
+      // 前の実行で確保したメモリの回収を促す
+      await new Promise((resolve) =>
+        setTimeout(resolve, 50)
+      );
+      globalThis.gc?.();
+      const before = usedHeapSize();
+      let peak = before;
+      run(results[name].profiler, () => {
+        peak = Math.max(peak, usedHeapSize());
+      });
+      if (before !== null) {
+        results[name].heapGrowth.push(peak - before);
+      }
+      if (onProgress) onProgress({ round, name });
+    }
+  }
+
+  const summary = {
+    lines: regions.length,
+    rounds,
+    batchSize,
+    page: { width: canvas.width, height: canvas.height },
+  };
+  for (const [
+    name,
+    { profiler, heapGrowth },
+  ] of Object.entries(results)) {
+    const { stages } = profiler.toJSON();
+    summary[name] = {
+      // 1ページあたりの所要時間（ミリ秒）
+      perPage: {
+        crop: Math.round(stages.crop.total / rounds),
+        recognitionPreprocess: Math.round(
+          stages.recognitionPreprocess.total / rounds
+        ),
+      },
+      // 1行あたりの所要時間の分布
+      crop: stages.crop,
+      recognitionPreprocess: stages.recognitionPreprocess,
+      // 1ページの処理中のJSヒープの増加量の最大値（計測できない場合は null）
+      heapGrowth:
+        heapGrowth.length > 0
+          ? Math.max(...heapGrowth)
+          : null,
+    };
+  }
+  return summary;
+}
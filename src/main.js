@@ -3,6 +3,18 @@
  * Web Worker based OCR library for classical Japanese texts
  */
 
+import { getTransferList } from './utils/image-input.js';
+import {
+  OCRError,
+  OCRErrorCode,
+} from './utils/ocr-error.js';
+import {
+  PROTOCOL_VERSION,
+  readCapabilities,
+  assertTaskSupported,
+  resolveOutputFormats,
+} from './utils/protocol.js';
+
 // WebWorker URL を取得する関数
 export function getWorkerUrl() {
   // Viteビルド時にWebWorkerファイルの正しいURLを返す
@@ -11,6 +23,15 @@ export function getWorkerUrl() {
 
 // 高レベルAPIの提供（オプション）
 export { workerMessageHandler } from './utils/message-handler.js';
+export { WorkerPool } from './utils/worker-pool.js';
+export {
+  OCRError,
+  OCRErrorCode,
+} from './utils/ocr-error.js';
+export {
+  PROTOCOL_VERSION,
+  isCompatibleProtocol,
+} from './utils/protocol.js';
 export { FileHandler } from './ui/file-handler.js';
 export { ResultDisplay } from './ui/result-display.js';
 
@@ -19,63 +40,277 @@ export class NDLKotenOCR {
   constructor() {
     this.worker = null;
     this.initialized = false;
+    this.capabilities = null;
+    // 同じミリ秒に開始したタスクでも重複しないタスクID
+    this.taskCounter = 0;
   }
 
   /**
    * WebWorkerを初期化
+   * @param {Object} options - 初期化オプション
+   * @param {Array<string>} [options.models] - 読み込むモデル（デフォルト: ['layout', 'recognition']）
+   * @param {Function} [options.onProgress] - モデル読み込みの進捗コールバック
+   * @returns {Promise<Object>} Workerの能力情報（WORKER_READY の内容）
    */
-  async initialize() {
-    if (this.initialized) return;
+  async initialize(options = {}) {
+    if (this.initialized) return this.capabilities;
 
     this.worker = new Worker(getWorkerUrl(), {
       type: 'module',
     });
 
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Worker initialization timeout'));
-      }, 30000);
+      const fail = (error) => {
+        clearTimeout(timeout);
+        this.terminate();
+        reject(error);
+      };
+
+      // モデルのダウンロード中は進捗が届くたびに待ち時間を延長
+      let timeout;
+      const resetTimeout = () => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+          fail(
+            new OCRError(
+              OCRErrorCode.WORKER_ERROR,
+              'Worker initialization timeout',
+              { stage: 'initialization' }
+            )
+          );
+        }, 30000);
+      };
+      resetTimeout();
 
       this.worker.onmessage = (event) => {
         const { type } = event.data;
-        if (type === 'WORKER_READY') {
+        if (type === 'OCR_PROGRESS') {
+          resetTimeout();
+          if (options.onProgress) {
+            options.onProgress(event.data);
+          }
+        } else if (type === 'WORKER_READY') {
+          let capabilities;
+          try {
+            // メジャーバージョンが異なるWorkerは使用しない
+            capabilities = readCapabilities(event.data);
+          } catch (error) {
+            fail(error);
+            return;
+          }
           clearTimeout(timeout);
+          this.worker.onmessage = null;
+          this.capabilities = capabilities;
           this.initialized = true;
-          resolve();
-        } else if (type === 'WORKER_ERROR') {
-          clearTimeout(timeout);
-          reject(new Error(event.data.error));
+          resolve(capabilities);
+        } else if (type === 'OCR_ERROR') {
+          fail(OCRError.fromMessage(event.data));
         }
       };
 
       this.worker.onerror = (error) => {
-        clearTimeout(timeout);
-        reject(error);
+        fail(
+          new OCRError(
+            OCRErrorCode.WORKER_ERROR,
+            error.message || 'Worker failed to start',
+            { stage: 'initialization' }
+          )
+        );
       };
 
       // 初期化メッセージを送信
-      this.worker.postMessage({ type: 'INITIALIZE' });
+      this.worker.postMessage({
+        type: 'INITIALIZE',
+        protocolVersion: PROTOCOL_VERSION,
+        models: options.models,
+      });
     });
   }
 
+  /**
+   * Workerの能力情報を取得（初期化前は null）
+   * @returns {Object|null} protocolVersion, models, outputFormats, features
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
   /**
    * OCR処理を実行
-   * @param {ImageData|HTMLImageElement|File} imageInput - 画像データ
+   * @param {ImageData|ImageBitmap|ArrayBuffer|HTMLImageElement|File} imageInput - 画像データ
    * @param {Object} options - 処理オプション
+   * @param {number} [options.scoreThreshold] - レイアウト検出の信頼度閾値
+   * @param {number} [options.nmsThreshold] - NMSのIoU閾値
+   * @param {number} [options.minBoxSize] - 検出領域の最小サイズ（ピクセル）
+   * @param {number} [options.maxDetections] - 最大検出数
+   * @param {string} [options.readingDirection] - 'vertical' または 'horizontal'
+   * @param {string} [options.columnDirection] - 'right-to-left' または 'left-to-right'
+   * @param {number} [options.groupThreshold] - 同一列/行とみなす閾値（ピクセル）
    * @returns {Promise<Object>} OCR結果
    */
   async processImage(imageInput, options = {}) {
+    return this._runTask(
+      'OCR_PROCESS',
+      imageInput,
+      options
+    );
+  }
+
+  /**
+   * 複数ページのOCR処理を順に実行
+   * 1ページの失敗で中断せず、そのページのエラーを記録して次のページへ進む
+   * キャンセルされた場合は、そのページのエラーを記録して終了する
+   * @param {Array|AsyncIterable} inputs - ページ画像の配列または非同期イテラブル
+   * @param {Object} options - 処理オプション（processImageと同じ）
+   * @param {Function} [options.onProgress] - 進捗コールバック（pageIndex, totalPages, batchProgress が付与される）
+   * @param {Function} [options.onPageComplete] - ページ完了時のコールバック
+   * @returns {Promise<Array<Object>>} ページ順の結果 { pageIndex, status, result, error }
+   */
+  async processBatch(inputs, options = {}) {
+    const {
+      onProgress,
+      onPageComplete,
+      onRegion,
+      ...pageOptions
+    } = options;
+    // 配列以外（非同期イテラブル）の場合は総ページ数が不明
+    const totalPages = Array.isArray(inputs)
+      ? inputs.length
+      : null;
+    const pages = [];
+
+    let pageIndex = 0;
+    for await (const input of inputs) {
+      const currentIndex = pageIndex++;
+      const batchProgress = (pageProgress) =>
+        totalPages
+          ? (currentIndex + pageProgress) / totalPages
+          : null;
+
+      let page;
+      try {
+        const result = await this.processImage(input, {
+          ...pageOptions,
+          onProgress: (data) => {
+            if (onProgress) {
+              onProgress({
+                ...data,
+                pageIndex: currentIndex,
+                totalPages,
+                batchProgress: batchProgress(data.progress),
+              });
+            }
+          },
+          onRegion:
+            onRegion &&
+            ((data) =>
+              onRegion({
+                ...data,
+                pageIndex: currentIndex,
+              })),
+        });
+        page = {
+          pageIndex: currentIndex,
+          status: 'success',
+          result,
+          error: null,
+        };
+      } catch (error) {
+        page = {
+          pageIndex: currentIndex,
+          status: 'error',
+          result: null,
+          error,
+        };
+      }
+
+      pages.push(page);
+
+      if (onProgress) {
+        onProgress({
+          stage: 'page_complete',
+          progress: 1.0,
+          message: `Processed page ${currentIndex + 1}${
+            totalPages ? `/${totalPages}` : ''
+          }`,
+          pageIndex: currentIndex,
+          totalPages,
+          batchProgress: batchProgress(1.0),
+        });
+      }
+      if (onPageComplete) {
+        onPageComplete(page);
+      }
+      // キャンセルされた場合は以降のページを処理しない
+      if (page.error?.code === OCRErrorCode.CANCELLED) {
+        break;
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * 指定した領域のみを文字認識（レイアウト検出を省略）
+   * @param {ImageData|ImageBitmap|ArrayBuffer|HTMLImageElement|File} imageInput - 画像データ
+   * @param {Array<Object>} regions - {x, y, width, height}・{bbox: [x1, y1, x2, y2]}・{polygon: [[x, y], ...]} の配列
+   * @param {Object} options - 処理オプション（processImageと同じ）
+   * @returns {Promise<Object>} OCR結果（processImageと同じ形式）
+   */
+  async recognizeRegions(
+    imageInput,
+    regions,
+    options = {}
+  ) {
     if (!this.initialized) {
-      await this.initialize();
+      await this.initialize({ models: ['recognition'] });
+    }
+
+    return this._runTask(
+      'RECOGNIZE_REGIONS',
+      imageInput,
+      options,
+      { regions }
+    );
+  }
+
+  /**
+   * レイアウト検出のみを実行（文字認識モデルは読み込まない）
+   * @param {ImageData|ImageBitmap|ArrayBuffer|HTMLImageElement|File} imageInput - 画像データ
+   * @param {Object} options - 処理オプション
+   * @param {boolean} [options.applyReadingOrder] - 検出領域に読み順を付与する
+   * @returns {Promise<Object>} 検出結果（regions, metadata など）
+   */
+  async detectLayout(imageInput, options = {}) {
+    if (!this.initialized) {
+      await this.initialize({ models: ['layout'] });
     }
 
-    // 画像データをImageDataに変換
-    const imageData = await this._convertToImageData(
-      imageInput
+    return this._runTask(
+      'DETECT_LAYOUT',
+      imageInput,
+      options
     );
+  }
+
+  /**
+   * Workerにタスクを送信し、完了を待つ
+   */
+  async _runTask(type, imageInput, options, payload = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    assertTaskSupported(this.capabilities, type);
+
+    // コールバックはWorkerに送信できないため分離
+    const { onProgress, onRegion, ...workerOptions } =
+      options;
+
+    // 画像データをWorkerに送信できる形式に変換
+    const image = await this._prepareImage(imageInput);
 
     return new Promise((resolve, reject) => {
-      const processId = Date.now().toString();
+      const processId = `task_${this.taskCounter++}`;
 
       const messageHandler = (event) => {
         const { type, id, ...data } = event.data;
@@ -84,11 +319,22 @@ export class NDLKotenOCR {
 
         switch (type) {
           case 'OCR_PROGRESS':
-            if (options.onProgress) {
-              options.onProgress(data);
+            if (onProgress) {
+              onProgress(data);
+            }
+            break;
+
+          case 'OCR_PARTIAL':
+            if (onRegion) {
+              onRegion(data);
             }
             break;
 
+          // タスク中に残りのモデルを読み込んだ場合の能力情報
+          case 'WORKER_READY':
+            this.capabilities = readCapabilities(data);
+            break;
+
           case 'OCR_COMPLETE':
             this.worker.removeEventListener(
               'message',
@@ -102,7 +348,21 @@ export class NDLKotenOCR {
               'message',
               messageHandler
             );
-            reject(new Error(data.error));
+            reject(OCRError.fromMessage(data));
+            break;
+
+          case 'OCR_CANCELLED':
+            this.worker.removeEventListener(
+              'message',
+              messageHandler
+            );
+            reject(
+              OCRError.fromMessage({
+                ...data,
+                code: OCRErrorCode.CANCELLED,
+                error: 'OCR task cancelled',
+              })
+            );
             break;
         }
       };
@@ -112,64 +372,62 @@ export class NDLKotenOCR {
         messageHandler
       );
 
-      // OCR処理開始
-      this.worker.postMessage({
-        type: 'OCR_PROCESS',
-        id: processId,
-        imageData: imageData,
-        config: {
-          outputFormats: options.outputFormats || ['txt'],
-          ...options,
+      // OCR処理開始（ImageBitmap・ArrayBufferは転送）
+      this.worker.postMessage(
+        {
+          type,
+          id: processId,
+          image,
+          ...payload,
+          config: {
+            ...workerOptions,
+            // 呼び出し側の指定からWorkerが対応しない形式を除く
+            outputFormats: resolveOutputFormats(
+              this.capabilities,
+              options.outputFormats
+            ),
+            streamRegions:
+              workerOptions.streamRegions || !!onRegion,
+          },
         },
-      });
+        getTransferList(image)
+      );
     });
   }
 
   /**
-   * 画像入力をImageDataに変換
+   * 画像入力をWorkerに送信できる形式に変換
+   * ImageBitmap・ArrayBuffer・File（Blob）はそのまま送信し、Worker内でデコードする
    */
-  async _convertToImageData(imageInput) {
-    if (imageInput instanceof ImageData) {
+  async _prepareImage(imageInput) {
+    if (
+      imageInput instanceof ImageData ||
+      imageInput instanceof ImageBitmap ||
+      imageInput instanceof ArrayBuffer ||
+      imageInput instanceof Blob
+    ) {
       return imageInput;
     }
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    if (imageInput instanceof File) {
-      const img = new Image();
-      return new Promise((resolve, reject) => {
-        img.onload = () => {
-          canvas.width = img.width;
-          canvas.height = img.height;
-          ctx.drawImage(img, 0, 0);
-          resolve(
-            ctx.getImageData(
-              0,
-              0,
-              canvas.width,
-              canvas.height
-            )
-          );
-        };
-        img.onerror = reject;
-        img.src = URL.createObjectURL(imageInput);
-      });
-    }
-
     if (imageInput instanceof HTMLImageElement) {
-      canvas.width = imageInput.width;
-      canvas.height = imageInput.height;
-      ctx.drawImage(imageInput, 0, 0);
-      return ctx.getImageData(
-        0,
-        0,
-        canvas.width,
-        canvas.height
-      );
+      return createImageBitmap(imageInput);
     }
 
-    throw new Error('Unsupported image input type');
+    throw new OCRError(
+      OCRErrorCode.INVALID_IMAGE,
+      'Unsupported image input type',
+      { stage: 'image_decode' }
+    );
+  }
+
+  /**
+   * 処理中のOCRをキャンセル
+   * 読み込み済みのモデルは破棄されず、次回の処理で再利用される
+   */
+  cancel() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'CANCEL' });
+    }
   }
 
   /**
@@ -180,6 +438,7 @@ export class NDLKotenOCR {
       this.worker.terminate();
       this.worker = null;
       this.initialized = false;
+      this.capabilities = null;
     }
   }
 }
@@ -80,6 +80,7 @@ function getDefaultConfig() {
     text_recognition: {
       input_shape: [1, 3, 32, 384],
       max_length: 25,
+      language_model: null,
     },
     reading_order: {
       vertical_mode: true,
@@ -149,6 +150,42 @@ export async function getModelUrl(modelType) {
   return modelUrls[modelType];
 }
 
+/**
+ * 文字認識モデルの一覧を取得
+ * models.recognition にはURL、またはモデルごとの設定のリストを指定できる
+ * リストの入力サイズ・最大文字列長を省略した場合は text_recognition の値を用いる
+ *
+ * @returns {Promise<Array<{url: string, inputShape: number[], maxLength: number}>>} 最大文字列長の小さい順のモデル
+ */
+export async function getRecognitionModels() {
+  const config = await loadConfig();
+  const { recognition } = config.models;
+  const defaults = config.text_recognition;
+  const entries = Array.isArray(recognition)
+    ? recognition
+    : [recognition];
+
+  return entries
+    .map((entry) => {
+      const model =
+        typeof entry === 'string' ? { url: entry } : entry;
+      if (!model?.url) {
+        throw new Error(
+          `Invalid recognition model: ${JSON.stringify(
+            entry
+          )}`
+        );
+      }
+      return {
+        url: model.url,
+        inputShape:
+          model.input_shape || defaults.input_shape,
+        maxLength: model.max_length || defaults.max_length,
+      };
+    })
+    .sort((a, b) => a.maxLength - b.maxLength);
+}
+
 /**
  * レイアウト検出設定を取得
  */
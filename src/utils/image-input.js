@@ -0,0 +1,19 @@
+/**
+ * Workerに送信する入力画像の管理モジュール
+ */
+
+/**
+ * 入力画像の転送リストを取得
+ * ImageBitmap と ArrayBuffer は構造化複製せずに所有権ごと転送する
+ * （転送後、呼び出し側のオブジェクトは使用できなくなる）
+ */
+export function getTransferList(image) {
+  if (
+    image instanceof ArrayBuffer ||
+    (typeof ImageBitmap !== 'undefined' &&
+      image instanceof ImageBitmap)
+  ) {
+    return [image];
+  }
+  return [];
+}
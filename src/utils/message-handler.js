@@ -3,6 +3,15 @@
  * メインスレッドとWorker間の通信を管理
  */
 
+import { getTransferList } from "./image-input.js";
+import { OCRError, OCRErrorCode } from "./ocr-error.js";
+import {
+  PROTOCOL_VERSION,
+  readCapabilities,
+  assertTaskSupported,
+  resolveOutputFormats,
+} from "./protocol.js";
+
 export class WorkerMessageHandler {
   constructor() {
     this.worker = null;
@@ -10,12 +19,15 @@ export class WorkerMessageHandler {
     this.currentTaskId = null;
     this.isWorkerBusy = false;
     this.eventListeners = new Map();
+    this.capabilities = null;
+    this.pendingReady = null;
   }
 
   /**
    * Workerの初期化
+   * options.models で読み込むモデルを限定できる（例: ['layout']）
    */
-  async initializeWorker() {
+  async initializeWorker(options = {}) {
     if (this.worker) {
       this.terminateWorker();
     }
@@ -29,13 +41,22 @@ export class WorkerMessageHandler {
 
       this.setupWorkerEventHandlers();
 
-      // Workerの初期化を待つ
-      await this.sendMessage({ type: "INITIALIZE" });
+      // WorkerからのWORKER_READYを待つ
+      const ready = new Promise((resolve, reject) => {
+        this.pendingReady = { resolve, reject };
+      });
+      await this.sendMessage({
+        type: "INITIALIZE",
+        protocolVersion: PROTOCOL_VERSION,
+        models: options.models,
+      });
+      this.capabilities = await ready;
 
       console.log("Worker initialized successfully");
       return true;
     } catch (error) {
       console.error("Failed to initialize worker:", error);
+      this.terminateWorker();
       throw error;
     }
   }
@@ -74,16 +95,32 @@ export class WorkerMessageHandler {
     const { type, id, ...payload } = data;
 
     switch (type) {
+      case "WORKER_READY":
+        this.handleWorkerReady(payload);
+        break;
+
       case "OCR_PROGRESS":
         this.emit("progress", { id, ...payload });
         break;
 
+      case "OCR_PARTIAL":
+        this.handleTaskPartial(id, payload);
+        break;
+
       case "OCR_COMPLETE":
         this.handleTaskComplete(id, payload);
         break;
 
       case "OCR_ERROR":
-        this.handleTaskError(id, payload);
+        if (id === undefined && this.pendingReady) {
+          this.settleReady(null, OCRError.fromMessage(payload));
+        } else {
+          this.handleTaskError(id, payload);
+        }
+        break;
+
+      case "OCR_CANCELLED":
+        this.handleTaskCancelled(id, payload);
         break;
 
       default:
@@ -91,6 +128,59 @@ export class WorkerMessageHandler {
     }
   }
 
+  /**
+   * 初期化完了（WORKER_READY）の処理
+   * プロトコルのメジャーバージョンが異なる場合は初期化を失敗させる
+   * タスク中にモデルを読み込んだ場合にも送信されるため、能力情報を更新する
+   */
+  handleWorkerReady(data) {
+    try {
+      const capabilities = readCapabilities(data);
+      this.capabilities = capabilities;
+      this.settleReady(capabilities, null);
+      this.emit("ready", capabilities);
+    } catch (error) {
+      this.settleReady(null, error);
+    }
+  }
+
+  /**
+   * 初期化待ちのPromiseを解決
+   */
+  settleReady(capabilities, error) {
+    if (!this.pendingReady) return;
+    const { resolve, reject } = this.pendingReady;
+    this.pendingReady = null;
+    if (error) {
+      reject(error);
+    } else {
+      resolve(capabilities);
+    }
+  }
+
+  /**
+   * Workerの能力情報を取得（初期化前は null）
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  /**
+   * 領域ごとの認識結果の処理
+   */
+  handleTaskPartial(taskId, partial) {
+    const task = this.taskQueue.get(taskId);
+    if (task && task.onRegion) {
+      try {
+        task.onRegion(partial);
+      } catch (error) {
+        console.error("Error in onRegion callback:", error);
+      }
+    }
+
+    this.emit("region", { id: taskId, ...partial });
+  }
+
   /**
    * タスク完了の処理
    */
@@ -115,7 +205,7 @@ export class WorkerMessageHandler {
   handleTaskError(taskId, error) {
     const task = this.taskQueue.get(taskId);
     if (task) {
-      task.reject(new Error(error.error || "OCR processing failed"));
+      task.reject(OCRError.fromMessage(error));
       this.taskQueue.delete(taskId);
     }
 
@@ -127,17 +217,80 @@ export class WorkerMessageHandler {
     this.processNextTask();
   }
 
+  /**
+   * タスクキャンセル完了の処理
+   */
+  handleTaskCancelled(taskId, payload) {
+    const task = this.taskQueue.get(taskId);
+    if (task) {
+      task.reject(
+        OCRError.fromMessage({
+          ...payload,
+          code: OCRErrorCode.CANCELLED,
+          error: "Task cancelled",
+        })
+      );
+      this.taskQueue.delete(taskId);
+    }
+
+    this.isWorkerBusy = false;
+    this.currentTaskId = null;
+    this.emit("cancelled", { id: taskId, ...payload });
+
+    // 次のタスクを処理
+    this.processNextTask();
+  }
+
   /**
    * OCR処理タスクの追加
    */
   async processOCR(imageData, config = {}) {
+    return this.enqueueTask("OCR_PROCESS", imageData, config);
+  }
+
+  /**
+   * 指定領域の認識タスクの追加（レイアウト検出を省略）
+   */
+  async recognizeRegions(imageData, regions, config = {}) {
+    return this.enqueueTask("RECOGNIZE_REGIONS", imageData, config, {
+      regions,
+    });
+  }
+
+  /**
+   * レイアウト検出のみのタスクの追加
+   */
+  async detectLayout(imageData, config = {}) {
+    return this.enqueueTask("DETECT_LAYOUT", imageData, config);
+  }
+
+  /**
+   * タスクをキューに追加
+   */
+  enqueueTask(type, image, config = {}, payload = {}) {
+    assertTaskSupported(this.capabilities, type);
+
+    // コールバックはWorkerに送信できないため分離
+    const { onRegion, ...workerConfig } = config;
+    if (onRegion) {
+      workerConfig.streamRegions = true;
+    }
+    if (workerConfig.outputFormats) {
+      workerConfig.outputFormats = resolveOutputFormats(
+        this.capabilities,
+        workerConfig.outputFormats
+      );
+    }
+
     return new Promise((resolve, reject) => {
       const taskId = this.generateTaskId();
       const task = {
         id: taskId,
-        type: "OCR_PROCESS",
-        imageData,
-        config,
+        type,
+        image,
+        payload,
+        config: workerConfig,
+        onRegion,
         resolve,
         reject,
         timestamp: Date.now(),
@@ -168,26 +321,31 @@ export class WorkerMessageHandler {
       this.isWorkerBusy = true;
       this.currentTaskId = oldestTask.id;
 
-      this.sendMessage({
-        type: oldestTask.type,
-        id: oldestTask.id,
-        imageData: oldestTask.imageData,
-        config: oldestTask.config,
-      });
+      // ImageBitmap・ArrayBufferは複製せずに転送
+      this.sendMessage(
+        {
+          type: oldestTask.type,
+          id: oldestTask.id,
+          image: oldestTask.image,
+          config: oldestTask.config,
+          ...oldestTask.payload,
+        },
+        getTransferList(oldestTask.image)
+      );
     }
   }
 
   /**
    * Workerにメッセージを送信
    */
-  sendMessage(message) {
+  sendMessage(message, transfer = []) {
     if (!this.worker) {
       throw new Error("Worker not initialized");
     }
 
     return new Promise((resolve, reject) => {
       try {
-        this.worker.postMessage(message);
+        this.worker.postMessage(message, transfer);
         resolve();
       } catch (error) {
         reject(error);
@@ -204,21 +362,12 @@ export class WorkerMessageHandler {
 
   /**
    * 現在のタスクをキャンセル
+   * Worker内で処理が中断されるとOCR_CANCELLEDが返り、タスクがrejectされる
+   * 読み込み済みのモデルはWorker内に保持される
    */
   cancelCurrentTask() {
     if (this.currentTaskId) {
-      const task = this.taskQueue.get(this.currentTaskId);
-      if (task) {
-        task.reject(new Error("Task cancelled"));
-        this.taskQueue.delete(this.currentTaskId);
-      }
-
-      this.isWorkerBusy = false;
-      this.currentTaskId = null;
-
-      // Workerを再初期化（処理を強制停止）
-      this.terminateWorker();
-      this.initializeWorker();
+      this.sendMessage({ type: "CANCEL", id: this.currentTaskId });
     }
   }
 
@@ -226,17 +375,15 @@ export class WorkerMessageHandler {
    * 全タスクをキャンセル
    */
   cancelAllTasks() {
+    // 未送信のタスクは即座にキャンセル
     for (const task of this.taskQueue.values()) {
-      task.reject(new Error("All tasks cancelled"));
+      if (task.id === this.currentTaskId) continue;
+      task.reject(new OCRError(OCRErrorCode.CANCELLED, "All tasks cancelled"));
+      this.taskQueue.delete(task.id);
     }
-    this.taskQueue.clear();
 
-    this.isWorkerBusy = false;
-    this.currentTaskId = null;
-
-    // Workerを再初期化
-    this.terminateWorker();
-    this.initializeWorker();
+    // 処理中のタスクはWorkerにキャンセルを要求
+    this.cancelCurrentTask();
   }
 
   /**
@@ -298,10 +445,15 @@ export class WorkerMessageHandler {
       this.worker.terminate();
       this.worker = null;
     }
+    this.settleReady(
+      null,
+      new OCRError(OCRErrorCode.WORKER_ERROR, "Worker terminated")
+    );
+    this.capabilities = null;
 
     // 未完了タスクをエラーで終了
     for (const task of this.taskQueue.values()) {
-      task.reject(new Error("Worker terminated"));
+      task.reject(new OCRError(OCRErrorCode.WORKER_ERROR, "Worker terminated"));
     }
     this.taskQueue.clear();
 
@@ -5,7 +5,9 @@
 import {
   getModelUrl,
   getModelUrls,
+  getRecognitionModels,
 } from './config-loader.js';
+import { OCRError, OCRErrorCode } from './ocr-error.js';
 
 const DB_NAME = 'NDLKotenOCRModels';
 const DB_VERSION = 1;
@@ -112,38 +114,121 @@ async function downloadWithProgress(url, onProgress) {
   return allChunks.buffer;
 }
 
+/**
+ * 設定されたモデルのURL一覧を取得
+ * 文字認識モデルは複数指定できるため、最大文字列長の小さい順に並べる
+ */
+async function getModelSources(modelType) {
+  if (modelType === 'recognition') {
+    const models = await getRecognitionModels();
+    return models.map((model) => model.url);
+  }
+  return [await getModelUrl(modelType)];
+}
+
+/**
+ * URLからモデルの識別子（ファイル名）を求める
+ */
+function toModelId(modelUrl) {
+  return modelUrl
+    .split('/')
+    .pop()
+    .replace(/\.onnx$/, '');
+}
+
+/**
+ * モデルの識別子を取得（設定されたURLのファイル名）
+ * @param {string} modelType モデルの種類
+ * @param {number} [index] 複数のモデルが設定されている場合の位置
+ */
+export async function getModelId(modelType, index = 0) {
+  const modelUrls = await getModelSources(modelType);
+  return toModelId(modelUrls[index]);
+}
+
 /**
  * モデルファイルを読み込み（キャッシュ優先）
+ * 複数のモデルが設定されている場合は、最大文字列長の小さい順に読み込んだ配列を返す
  */
 export async function loadModel(modelType, onProgress) {
   // 設定からモデルURLを取得
-  let modelUrl;
+  let modelUrls;
   try {
-    modelUrl = await getModelUrl(modelType);
+    modelUrls = await getModelSources(modelType);
   } catch (error) {
-    throw new Error(`Unknown model type: ${modelType}`);
+    throw new OCRError(
+      OCRErrorCode.CONFIG_INVALID,
+      `Unknown model type: ${modelType}`,
+      { stage: 'initialization', cause: error }
+    );
   }
 
+  // 単一のモデルは従来どおりモデルの種類をキャッシュのキーとする
+  if (modelUrls.length === 1) {
+    return loadModelFile(
+      modelType,
+      modelUrls[0],
+      onProgress
+    );
+  }
+
+  const models = [];
+  for (const [index, modelUrl] of modelUrls.entries()) {
+    models.push(
+      await loadModelFile(
+        `${modelType}:${toModelId(modelUrl)}`,
+        modelUrl,
+        (progress) => {
+          if (onProgress) {
+            onProgress(
+              (index + progress) / modelUrls.length
+            );
+          }
+        }
+      )
+    );
+  }
+  return models;
+}
+
+/**
+ * 1つのモデルファイルを読み込み（キャッシュ優先）
+ * modelName はキャッシュのキー・ログに用いる名前
+ */
+async function loadModelFile(
+  modelName,
+  modelUrl,
+  onProgress
+) {
   // キャッシュから確認
-  const cachedModel = await getModelFromCache(modelType);
+  const cachedModel = await getModelFromCache(modelName);
   if (cachedModel) {
-    console.log(`Model ${modelType} loaded from cache`);
+    console.log(`Model ${modelName} loaded from cache`);
     if (onProgress) onProgress(1.0);
     return cachedModel;
   }
 
   // ダウンロード
   console.log(
-    `Downloading model ${modelType} from ${modelUrl}`
-  );
-  const modelData = await downloadWithProgress(
-    modelUrl,
-    onProgress
+    `Downloading model ${modelName} from ${modelUrl}`
   );
+  let modelData;
+  try {
+    modelData = await downloadWithProgress(
+      modelUrl,
+      onProgress
+    );
+  } catch (error) {
+    throw new OCRError(
+      OCRErrorCode.MODEL_DOWNLOAD_FAILED,
+      `Failed to download model ${modelName}: ${error.message}`,
+      { stage: 'initialization', cause: error }
+    );
+  }
 
   // キャッシュに保存
-  await saveModelToCache(modelType, modelData);
-  console.log(`Model ${modelType} cached successfully`);
+  await saveModelToCache(modelName, modelData);
+  console.log(`Model ${modelName} cached successfully`);
 
   return modelData;
 }
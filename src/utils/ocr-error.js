@@ -0,0 +1,112 @@
+/**
+ * OCRエラー定義モジュール
+ * Workerとメインスレッドで共通のエラーコード体系を提供
+ */
+
+/**
+ * エラーコード一覧
+ */
+export const OCRErrorCode = {
+  MODEL_DOWNLOAD_FAILED: 'MODEL_DOWNLOAD_FAILED', // モデルのダウンロード失敗
+  MODEL_INIT_FAILED: 'MODEL_INIT_FAILED', // 推論セッションの作成失敗
+  INVALID_IMAGE: 'INVALID_IMAGE', // 入力画像が不正・デコード不可
+  INVALID_REGIONS: 'INVALID_REGIONS', // 認識対象として渡された領域が不正
+  INFERENCE_FAILED: 'INFERENCE_FAILED', // 推論・後処理の失敗
+  CONFIG_INVALID: 'CONFIG_INVALID', // 設定・オプションが不正
+  CANCELLED: 'CANCELLED', // キャンセルによる中断
+  WORKER_ERROR: 'WORKER_ERROR', // Worker自体のエラー・応答なし
+  PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH', // Workerとのプロトコルバージョン不一致
+  UNKNOWN: 'UNKNOWN', // 分類できないエラー
+};
+
+// 再試行で回復する可能性のあるエラー
+const RETRYABLE_CODES = new Set([
+  OCRErrorCode.MODEL_DOWNLOAD_FAILED,
+  OCRErrorCode.WORKER_ERROR,
+]);
+
+export class OCRError extends Error {
+  /**
+   * @param {string} code エラーコード（OCRErrorCode）
+   * @param {string} message エラーメッセージ
+   * @param {Object} options
+   * @param {string} [options.stage] エラーが発生した処理ステージ
+   * @param {boolean} [options.retryable] 再試行可能か（省略時はコードから判定）
+   * @param {Error} [options.cause] 元のエラー
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = 'OCRError';
+    this.code = code;
+    this.stage = options.stage || null;
+    this.retryable =
+      options.retryable ?? RETRYABLE_CODES.has(code);
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+
+  /**
+   * 任意のエラーをOCRErrorに変換
+   * 既にOCRErrorの場合はステージのみ補完する
+   */
+  static from(
+    error,
+    code = OCRErrorCode.UNKNOWN,
+    stage = null
+  ) {
+    if (error instanceof OCRError) {
+      if (!error.stage) error.stage = stage;
+      return error;
+    }
+    return new OCRError(
+      code,
+      error?.message || String(error),
+      {
+        stage,
+        cause: error,
+      }
+    );
+  }
+
+  /**
+   * Workerメッセージから復元
+   */
+  static fromMessage(data) {
+    const error = new OCRError(
+      data.code || OCRErrorCode.UNKNOWN,
+      data.error || 'OCR processing failed',
+      { stage: data.stage, retryable: data.retryable }
+    );
+    if (data.stack) {
+      error.workerStack = data.stack;
+    }
+    return error;
+  }
+
+  /**
+   * Workerメッセージ用のフィールドに変換
+   */
+  toMessage() {
+    return {
+      error: this.message,
+      code: this.code,
+      stage: this.stage,
+      retryable: this.retryable,
+    };
+  }
+}
+
+/**
+ * 不正なオプション値のエラーを生成
+ * @param {string} name オプション名
+ * @param {*} value 指定された値
+ * @param {string} stage オプションを解決した処理ステージ
+ */
+export function invalidOption(name, value, stage) {
+  return new OCRError(
+    OCRErrorCode.CONFIG_INVALID,
+    `Invalid option ${name}: ${value}`,
+    { stage }
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * Worker通信プロトコル定義モジュール
+ * メインスレッドとWorkerで共通のバージョン・機能一覧を提供
+ */
+
+import { OCRError, OCRErrorCode } from './ocr-error.js';
+
+/**
+ * プロトコルバージョン（"メジャー.マイナー"）
+ * メジャーが異なる場合は互換性なし、マイナーの追加は後方互換
+ */
+export const PROTOCOL_VERSION = '1.1';
+
+// Workerが生成できる出力形式
+export const OUTPUT_FORMATS = ['txt', 'json', 'xml'];
+
+// Workerが対応する機能
+export const WORKER_FEATURES = [
+  'cancel', // CANCEL による処理の中断
+  'streamRegions', // OCR_PARTIAL による領域ごとの逐次送信
+  'recognizeRegions', // RECOGNIZE_REGIONS（レイアウト検出の省略）
+  'detectLayout', // DETECT_LAYOUT（レイアウト検出のみ）
+  'transferableInput', // ImageBitmap・ArrayBuffer・Blob の入力
+  'profile', // 結果へのプロファイルの付与
+  'errorCodes', // OCR_ERROR への code・retryable の付与
+  'batchRecognition', // 複数領域をまとめた文字認識の推論
+  'tiling', // 大きな画像のタイル分割によるレイアウト検出（tiling）
+  'spreadSplitting', // 見開きのページ分割（splitSpreads）
+  'orientationCorrection', // 向き・傾きの補正（correctOrientation・deskew）
+  'imageEnhancement', // 検出・認識前の画像補正（grayscale・binarization など）
+  'stampRemoval', // 朱印の除去と stamps の報告（removeStamps）
+  'recognitionConfidence', // 文字ごとの確率と recognitionConfidence
+  'characterCandidates', // 文字ごとの候補（candidateCount）
+  'collapseRepeats', // 連続する同一文字の統合の選択（collapseRepeats）
+  'splitLongLines', // 長い行の分割認識（splitLongLines）
+  'recognitionCascade', // 複数の認識モデルのカスケード（cascadeRouting・cascadeRetry）
+  'constrainedDecoding', // 文字種・語彙による制約付きデコード（allowedCharacters・lexicon など）
+  'beamSearch', // ビームサーチと言語モデルによる再スコアリング（decoding: 'beam'）
+];
+
+/**
+ * バージョン文字列を解析
+ */
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)$/.exec(String(version));
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+  };
+}
+
+/**
+ * プロトコルバージョンの互換性を判定
+ */
+export function isCompatibleProtocol(
+  version,
+  expected = PROTOCOL_VERSION
+) {
+  const actual = parseVersion(version);
+  const required = parseVersion(expected);
+  return Boolean(
+    actual && required && actual.major === required.major
+  );
+}
+
+/**
+ * WORKER_READY メッセージから能力情報を取得
+ * プロトコルに互換性がない場合はエラー
+ *
+ * @param {Object} data WORKER_READY メッセージ
+ * @returns {Object} 能力情報
+ * @throws {OCRError} プロトコルバージョンが一致しない場合
+ */
+export function readCapabilities(data) {
+  const { type, ...capabilities } = data;
+
+  if (!isCompatibleProtocol(capabilities.protocolVersion)) {
+    throw new OCRError(
+      OCRErrorCode.PROTOCOL_MISMATCH,
+      `Incompatible worker protocol: ${
+        capabilities.protocolVersion ?? 'unknown'
+      } (expected ${PROTOCOL_VERSION})`,
+      { stage: 'initialization' }
+    );
+  }
+
+  return {
+    models: {},
+    outputFormats: [],
+    features: [],
+    ...capabilities,
+  };
+}
+
+/**
+ * タスクの実行に必要な機能
+ */
+const TASK_FEATURES = {
+  RECOGNIZE_REGIONS: 'recognizeRegions',
+  DETECT_LAYOUT: 'detectLayout',
+};
+
+/**
+ * タスクがWorkerで実行可能か確認
+ *
+ * @param {Object|null} capabilities 能力情報
+ * @param {string} type タスクのメッセージタイプ
+ * @throws {OCRError} Workerが対応していない場合
+ */
+export function assertTaskSupported(capabilities, type) {
+  const feature = TASK_FEATURES[type];
+  if (
+    !capabilities ||
+    !feature ||
+    capabilities.features.includes(feature)
+  ) {
+    return;
+  }
+
+  throw new OCRError(
+    OCRErrorCode.PROTOCOL_MISMATCH,
+    `Worker does not support ${feature} (protocol ${capabilities.protocolVersion})`
+  );
+}
+
+/**
+ * 要求された出力形式のうちWorkerが対応するものに絞り込む
+ */
+export function resolveOutputFormats(
+  capabilities,
+  outputFormats = ['txt']
+) {
+  if (!capabilities) return outputFormats;
+
+  const unsupported = outputFormats.filter(
+    (format) => !capabilities.outputFormats.includes(format)
+  );
+  if (unsupported.length > 0) {
+    console.warn(
+      'Output formats not supported by worker:',
+      unsupported
+    );
+  }
+  return outputFormats.filter((format) =>
+    capabilities.outputFormats.includes(format)
+  );
+}
@@ -0,0 +1,607 @@
+/**
+ * OCR Workerプール
+ * 複数のWorkerを起動し、ページ単位のタスクを空いているWorkerに割り振る
+ */
+
+import { loadModel } from './model-loader.js';
+import { getTransferList } from './image-input.js';
+import { OCRError, OCRErrorCode } from './ocr-error.js';
+import {
+  PROTOCOL_VERSION,
+  readCapabilities,
+  resolveOutputFormats,
+} from './protocol.js';
+
+export class WorkerPool {
+  /**
+   * @param {Object} options - プール設定
+   * @param {number} [options.size] - Worker数（デフォルト: navigator.hardwareConcurrency）
+   * @param {URL|string} [options.workerUrl] - ocr-worker.js のURL（省略時は同梱のWorker）
+   */
+  constructor(options = {}) {
+    this.size = Math.max(
+      1,
+      options.size ||
+        (typeof navigator !== 'undefined' &&
+          navigator.hardwareConcurrency) ||
+        4
+    );
+    this.workerUrl = options.workerUrl || null;
+    this.workers = [];
+    this.pendingTasks = [];
+    this.tasks = new Map();
+    this.eventListeners = new Map();
+    this.initialized = false;
+    this.capabilities = null;
+    this.taskCounter = 0;
+    // 異常終了したWorkerの代わりを起動するためのモデルデータ
+    this.modelData = null;
+    this.initializing = null;
+  }
+
+  /**
+   * プールの初期化
+   * 初期化中に再度呼び出された場合は、同じ初期化の完了を待つ
+   * @param {Object} options - 初期化オプション
+   * @param {Function} [options.onProgress] - 初期化の進捗コールバック（{stage, progress, message}）
+   */
+  async initialize(options = {}) {
+    if (this.initialized) return;
+    if (!this.initializing) {
+      this.initializing = this.startWorkers(
+        options.onProgress
+      ).finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * モデルを読み込み、全Workerを起動する
+   * モデルはメインスレッドで一度だけ読み込み（IndexedDBキャッシュ優先）、全Workerで共有する
+   * 起動に失敗したWorkerがある場合は、起動済みのWorkerも終了してエラーを投げる
+   */
+  async startWorkers(onProgress) {
+    const report = (stage, progress, message) => {
+      if (onProgress)
+        onProgress({ stage, progress, message });
+    };
+    const layout = await loadModel('layout', (progress) => {
+      report(
+        'loading_layout_model',
+        progress * 0.4,
+        `Loading layout detection model... ${Math.round(
+          progress * 100
+        )}%`
+      );
+    });
+    const recognition = await loadModel(
+      'recognition',
+      (progress) => {
+        report(
+          'loading_recognition_model',
+          0.4 + progress * 0.4,
+          `Loading text recognition model... ${Math.round(
+            progress * 100
+          )}%`
+        );
+      }
+    );
+
+    this.modelData = { layout, recognition };
+    let readyWorkers = 0;
+    // 起動中のWorkerが後から追加されないよう、すべての起動の完了を待つ
+    const results = await Promise.allSettled(
+      Array.from({ length: this.size }, () =>
+        this.spawnWorker(this.modelData).then((entry) => {
+          readyWorkers++;
+          report(
+            'starting_workers',
+            0.8 + (readyWorkers / this.size) * 0.2,
+            `Starting workers... ${readyWorkers}/${this.size}`
+          );
+          return entry;
+        })
+      )
+    );
+    const failed = results.find(
+      (result) => result.status === 'rejected'
+    );
+    if (failed) {
+      for (const entry of this.workers) {
+        entry.worker.terminate();
+      }
+      this.workers = [];
+      this.modelData = null;
+      this.capabilities = null;
+      throw failed.reason;
+    }
+
+    this.initialized = true;
+    console.log(
+      `Worker pool initialized with ${this.size} workers`
+    );
+  }
+
+  /**
+   * Workerを起動し、初期化完了を待つ
+   */
+  spawnWorker(modelData) {
+    const worker = this.workerUrl
+      ? new Worker(this.workerUrl, { type: 'module' })
+      : new Worker(
+          new URL(
+            '../worker/ocr-worker.js',
+            import.meta.url
+          ),
+          { type: 'module' }
+        );
+    const entry = {
+      worker,
+      currentTaskId: null,
+      processedCount: 0,
+      capabilities: null,
+    };
+
+    return new Promise((resolve, reject) => {
+      let ready = false;
+      worker.onmessage = (event) => {
+        const { type, stage } = event.data;
+        if (type === 'WORKER_READY') {
+          try {
+            entry.capabilities = readCapabilities(
+              event.data
+            );
+          } catch (error) {
+            worker.terminate();
+            reject(error);
+            return;
+          }
+          ready = true;
+          this.capabilities =
+            this.capabilities || entry.capabilities;
+          worker.onmessage = (e) =>
+            this.handleWorkerMessage(entry, e.data);
+          this.workers.push(entry);
+          resolve(entry);
+          // 初期化前に追加されたタスクを割り当てる
+          this.dispatch();
+        } else if (
+          type === 'OCR_ERROR' &&
+          stage === 'initialization'
+        ) {
+          worker.terminate();
+          reject(OCRError.fromMessage(event.data));
+        }
+      };
+
+      worker.onerror = (event) => {
+        console.error('Worker error:', event);
+        const error = new OCRError(
+          OCRErrorCode.WORKER_ERROR,
+          event.message || 'Worker error'
+        );
+        // 初期化完了前は起動の失敗として扱う
+        if (!ready) {
+          worker.terminate();
+          error.stage = 'initialization';
+          reject(error);
+          return;
+        }
+        this.handleWorkerFailure(entry, error);
+      };
+
+      worker.postMessage({
+        type: 'INITIALIZE',
+        protocolVersion: PROTOCOL_VERSION,
+        modelData,
+      });
+    });
+  }
+
+  /**
+   * Workerからのメッセージ処理
+   */
+  handleWorkerMessage(entry, data) {
+    const { type, id, ...payload } = data;
+    const task = this.tasks.get(id);
+
+    switch (type) {
+      case 'OCR_PROGRESS':
+        if (task && task.onProgress) {
+          task.onProgress(payload);
+        }
+        this.emit('progress', { id, ...payload });
+        break;
+
+      case 'OCR_PARTIAL':
+        if (task && task.onRegion) {
+          task.onRegion(payload);
+        }
+        this.emit('region', { id, ...payload });
+        break;
+
+      case 'OCR_COMPLETE':
+        this.finishTask(entry, id);
+        if (task) task.resolve(payload);
+        this.emit('complete', { id, result: payload });
+        break;
+
+      case 'OCR_ERROR':
+        // Worker自体のエラーは処理中のタスクを失敗させ、Workerを起動し直す
+        if (payload.code === OCRErrorCode.WORKER_ERROR) {
+          this.handleWorkerFailure(
+            entry,
+            OCRError.fromMessage(payload)
+          );
+          break;
+        }
+        this.finishTask(entry, id);
+        if (task) {
+          task.reject(OCRError.fromMessage(payload));
+        }
+        this.emit('error', { id, ...payload });
+        break;
+
+      case 'OCR_CANCELLED':
+        this.finishTask(entry, id);
+        if (task) {
+          task.reject(
+            OCRError.fromMessage({
+              ...payload,
+              code: OCRErrorCode.CANCELLED,
+              error: 'Task cancelled',
+            })
+          );
+        }
+        this.emit('cancelled', { id, ...payload });
+        break;
+
+      default:
+        console.warn('Unknown worker message type:', type);
+    }
+  }
+
+  /**
+   * タスク終了後にWorkerを解放し、次のタスクを割り当てる
+   */
+  finishTask(entry, taskId) {
+    this.tasks.delete(taskId);
+    if (entry.currentTaskId === taskId) {
+      entry.currentTaskId = null;
+      entry.processedCount++;
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Workerの異常時に処理中のタスクを WORKER_ERROR で失敗させ、代わりのWorkerを起動する
+   * 代わりのWorkerを起動できない場合はプールを縮小して続行する
+   */
+  handleWorkerFailure(entry, error) {
+    // onerror と OCR_ERROR の両方で通知されるため、一度だけ処理する
+    const index = this.workers.indexOf(entry);
+    if (index === -1) return;
+    this.workers.splice(index, 1);
+    entry.worker.terminate();
+
+    const taskId = entry.currentTaskId;
+    const task = this.tasks.get(taskId);
+    if (task) {
+      this.tasks.delete(taskId);
+      task.reject(error);
+    }
+    this.emit('error', {
+      id: taskId,
+      type: 'worker_error',
+      error: error.message,
+      code: error.code,
+    });
+
+    if (!this.initialized) return;
+    this.spawnWorker(this.modelData).then(
+      (replacement) => {
+        // 起動中にプールが終了された場合は破棄
+        if (this.initialized) return;
+        replacement.worker.terminate();
+        this.workers = this.workers.filter(
+          (worker) => worker !== replacement
+        );
+      },
+      (spawnError) => {
+        console.error(
+          'Failed to replace worker:',
+          spawnError
+        );
+        // 割り当て先のWorkerがなくなった場合は待機中のタスクを失敗させる
+        if (this.workers.length === 0) {
+          for (const pending of this.pendingTasks) {
+            this.tasks.delete(pending.id);
+            pending.reject(spawnError);
+          }
+          this.pendingTasks = [];
+        }
+      }
+    );
+  }
+
+  /**
+   * 1ページのOCR処理をキューに追加
+   * 初期化前に呼び出した場合はプールを初期化する
+   * @param {ImageData|ImageBitmap|ArrayBuffer|Blob} image - 画像データ（ImageBitmap・ArrayBufferは転送される）
+   * @param {Object} options - 処理オプション（NDLKotenOCR.processImage と同じ）
+   * @returns {Promise<Object>} OCR結果
+   */
+  async processImage(image, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    // コールバックはWorkerに送信できないため分離
+    const { onProgress, onRegion, ...config } = options;
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: `pool_${Date.now()}_${this.taskCounter++}`,
+        image,
+        config: {
+          ...config,
+          // 呼び出し側の指定からWorkerが対応しない形式を除く
+          outputFormats: resolveOutputFormats(
+            this.capabilities,
+            config.outputFormats
+          ),
+          streamRegions: config.streamRegions || !!onRegion,
+        },
+        onProgress,
+        onRegion,
+        resolve,
+        reject,
+      };
+
+      this.tasks.set(task.id, task);
+      this.pendingTasks.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 複数ページを並列に処理
+   * 1ページの失敗で中断せず、そのページのエラーを記録する
+   * @param {Array|AsyncIterable} inputs - 画像データの配列または非同期イテラブル
+   * @param {Object} options - 処理オプション（NDLKotenOCR.processBatch と同じ）
+   * @returns {Promise<Array<Object>>} ページ順の結果 { pageIndex, status, result, error }
+   */
+  async processBatch(inputs, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const {
+      onProgress,
+      onPageComplete,
+      onRegion,
+      ...pageOptions
+    } = options;
+    const totalPages = Array.isArray(inputs)
+      ? inputs.length
+      : null;
+    const pageProgress = [];
+    const pagePromises = [];
+
+    const reportProgress = (pageIndex, data) => {
+      pageProgress[pageIndex] = data.progress;
+      if (!onProgress) return;
+      const batchProgress = totalPages
+        ? pageProgress.reduce(
+            (sum, p) => sum + (p || 0),
+            0
+          ) / totalPages
+        : null;
+      onProgress({
+        ...data,
+        pageIndex,
+        totalPages,
+        batchProgress,
+      });
+    };
+
+    // 未処理のページを溜め込まないよう、同時実行数をWorker数までに抑える
+    const inFlight = new Set();
+
+    let pageIndex = 0;
+    for await (const image of inputs) {
+      // Workerの入れ替え中も待機できるよう、設定したWorker数で判定する
+      if (inFlight.size >= this.size) {
+        await Promise.race(inFlight);
+      }
+
+      const currentIndex = pageIndex++;
+      const promise = this.processImage(image, {
+        ...pageOptions,
+        onProgress: (data) =>
+          reportProgress(currentIndex, data),
+        onRegion:
+          onRegion &&
+          ((data) =>
+            onRegion({ ...data, pageIndex: currentIndex })),
+      })
+        .then(
+          (result) => ({
+            pageIndex: currentIndex,
+            status: 'success',
+            result,
+            error: null,
+          }),
+          (error) => {
+            console.error(
+              `Page ${currentIndex} failed:`,
+              error
+            );
+            return {
+              pageIndex: currentIndex,
+              status: 'error',
+              result: null,
+              error,
+            };
+          }
+        )
+        .then((page) => {
+          reportProgress(currentIndex, {
+            stage: 'page_complete',
+            progress: 1.0,
+            message: `Processed page ${currentIndex + 1}${
+              totalPages ? `/${totalPages}` : ''
+            }`,
+          });
+          if (onPageComplete) onPageComplete(page);
+          inFlight.delete(promise);
+          return page;
+        });
+      inFlight.add(promise);
+      pagePromises.push(promise);
+    }
+
+    return Promise.all(pagePromises);
+  }
+
+  /**
+   * 待機中のタスクを空いているWorkerに割り当てる
+   * 処理済みページ数の少ないWorkerを優先して負荷を分散する
+   */
+  dispatch() {
+    while (this.pendingTasks.length > 0) {
+      const idleWorkers = this.workers.filter(
+        (entry) => entry.currentTaskId === null
+      );
+      if (idleWorkers.length === 0) return;
+
+      const entry = idleWorkers.reduce((a, b) =>
+        b.processedCount < a.processedCount ? b : a
+      );
+      const task = this.pendingTasks.shift();
+
+      entry.currentTaskId = task.id;
+      // ImageBitmap・ArrayBufferは複製せずに転送
+      entry.worker.postMessage(
+        {
+          type: 'OCR_PROCESS',
+          id: task.id,
+          image: task.image,
+          config: task.config,
+        },
+        getTransferList(task.image)
+      );
+    }
+  }
+
+  /**
+   * 全タスクをキャンセル
+   * 処理中のタスクは各Workerに中断を要求し、モデルは保持したままにする
+   */
+  cancelAllTasks() {
+    for (const task of this.pendingTasks) {
+      task.reject(
+        new OCRError(
+          OCRErrorCode.CANCELLED,
+          'All tasks cancelled'
+        )
+      );
+      this.tasks.delete(task.id);
+    }
+    this.pendingTasks = [];
+
+    for (const entry of this.workers) {
+      if (entry.currentTaskId) {
+        entry.worker.postMessage({
+          type: 'CANCEL',
+          id: entry.currentTaskId,
+        });
+      }
+    }
+  }
+
+  /**
+   * Workerの能力情報を取得（初期化前は null）
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  /**
+   * プールの状態を取得
+   */
+  getStatus() {
+    return {
+      size: this.workers.length,
+      busyWorkers: this.workers.filter(
+        (entry) => entry.currentTaskId !== null
+      ).length,
+      pendingTasks: this.pendingTasks.length,
+    };
+  }
+
+  /**
+   * イベントリスナーの追加
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * イベントリスナーの削除
+   */
+  off(event, callback) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      const index = listeners.indexOf(callback);
+      if (index > -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * イベントの発火
+   */
+  emit(event, data) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach((callback) => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in event listener:', error);
+        }
+      });
+    }
+  }
+
+  /**
+   * 全Workerの終了
+   */
+  terminate() {
+    for (const entry of this.workers) {
+      entry.worker.terminate();
+    }
+    this.workers = [];
+
+    // 未完了タスクをエラーで終了
+    for (const task of this.tasks.values()) {
+      task.reject(
+        new OCRError(
+          OCRErrorCode.WORKER_ERROR,
+          'Worker pool terminated'
+        )
+      );
+    }
+    this.tasks.clear();
+    this.pendingTasks = [];
+    this.initialized = false;
+    this.capabilities = null;
+  }
+}
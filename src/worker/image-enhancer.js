@@ -0,0 +1,460 @@
+/**
+ * 画像補正モジュール
+ * 褪色した墨や裏写りのある資料のため、検出・認識の前に画像を補正
+ */
+
+import { toSourceCanvas } from './image-source.js';
+import { invalidOption } from '../utils/ocr-error.js';
+
+// コントラスト伸長で切り捨てる暗部・明部の割合
+const STRETCH_PERCENTILE = 0.01;
+// Sauvola 法の標準偏差のダイナミックレンジ
+const SAUVOLA_R = 128;
+// 二値化の既定のパラメータ k
+const DEFAULT_K = { sauvola: 0.2, niblack: -0.2 };
+
+export class ImageEnhancer {
+  constructor() {
+    this.defaultOptions = {
+      grayscale: false, // グレースケール化（他の補正を有効にした場合は常に適用）
+      contrastStretch: false, // コントラスト伸長
+      removeBleedThrough: false, // 裏写りの除去
+      bleedThroughThreshold: 0.8, // 紙の明るさに対してこれより明るい画素を裏写りとみなす
+      denoise: false, // メディアンフィルタによるノイズ除去
+      binarization: null, // 適応的二値化（'sauvola' / 'niblack' / null）
+      enhancementWindowSize: null, // 二値化・背景推定の窓の一辺（null: 画像サイズから自動）
+      binarizationK: null, // 二値化のパラメータ k（null: 手法ごとの既定値）
+      applyEnhancementTo: 'both', // 補正した画像を使う処理（'both' / 'layout' / 'recognition'）
+    };
+  }
+
+  /**
+   * 補正オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const resolved = {};
+    for (const [key, value] of Object.entries(
+      this.defaultOptions
+    )) {
+      resolved[key] = options[key] ?? value;
+    }
+
+    // 値の検証
+    if (
+      ![null, 'sauvola', 'niblack'].includes(
+        resolved.binarization
+      )
+    ) {
+      throw invalidOption(
+        'binarization',
+        resolved.binarization,
+        'enhancement'
+      );
+    }
+    if (
+      !['both', 'layout', 'recognition'].includes(
+        resolved.applyEnhancementTo
+      )
+    ) {
+      throw invalidOption(
+        'applyEnhancementTo',
+        resolved.applyEnhancementTo,
+        'enhancement'
+      );
+    }
+    if (
+      resolved.enhancementWindowSize !== null &&
+      !(
+        Number.isInteger(resolved.enhancementWindowSize) &&
+        resolved.enhancementWindowSize >= 3
+      )
+    ) {
+      throw invalidOption(
+        'enhancementWindowSize',
+        resolved.enhancementWindowSize,
+        'enhancement'
+      );
+    }
+    if (
+      !(
+        resolved.bleedThroughThreshold > 0 &&
+        resolved.bleedThroughThreshold < 1
+      )
+    ) {
+      throw invalidOption(
+        'bleedThroughThreshold',
+        resolved.bleedThroughThreshold,
+        'enhancement'
+      );
+    }
+    if (
+      resolved.binarizationK !== null &&
+      !Number.isFinite(resolved.binarizationK)
+    ) {
+      throw invalidOption(
+        'binarizationK',
+        resolved.binarizationK,
+        'enhancement'
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 有効な補正ステップ（適用順）
+   */
+  getSteps(options) {
+    const steps = [];
+    const anyFilter =
+      options.contrastStretch ||
+      options.removeBleedThrough ||
+      options.denoise ||
+      options.binarization;
+    if (options.grayscale || anyFilter)
+      steps.push('grayscale');
+    if (options.removeBleedThrough) {
+      steps.push('bleedThroughSuppression');
+    }
+    if (options.contrastStretch)
+      steps.push('contrastStretch');
+    if (options.denoise) steps.push('denoise');
+    if (options.binarization) steps.push('binarization');
+    return steps;
+  }
+
+  /**
+   * 画像を補正
+   * 補正ステップがない場合は元の画像をそのまま返す
+   *
+   * @param {OffscreenCanvas|ImageData} image ソース画像
+   * @param {Object} options 処理オプション
+   * @returns {{canvas: OffscreenCanvas, steps: Array<string>, windowSize: number|null}} 補正後の画像と適用したステップ
+   */
+  enhance(image, options = {}) {
+    const source = toSourceCanvas(image);
+    const resolved = this.resolveOptions(options);
+    const steps = this.getSteps(resolved);
+    if (steps.length === 0) {
+      return { canvas: source, steps, windowSize: null };
+    }
+
+    const { width, height } = source;
+    const windowSize =
+      resolved.enhancementWindowSize ??
+      Math.min(
+        101,
+        Math.max(
+          15,
+          Math.round(Math.min(width, height) / 50)
+        )
+      );
+
+    const imageData = source
+      .getContext('2d')
+      .getImageData(0, 0, width, height);
+    let gray = toGrayscale(imageData.data);
+
+    for (const step of steps) {
+      switch (step) {
+        case 'bleedThroughSuppression':
+          suppressBleedThrough(
+            gray,
+            width,
+            height,
+            windowSize,
+            resolved.bleedThroughThreshold
+          );
+          break;
+        case 'contrastStretch':
+          stretchContrast(gray);
+          break;
+        case 'denoise':
+          gray = medianFilter(gray, width, height);
+          break;
+        case 'binarization':
+          binarize(
+            gray,
+            width,
+            height,
+            windowSize,
+            resolved.binarization,
+            resolved.binarizationK ??
+              DEFAULT_K[resolved.binarization]
+          );
+          break;
+      }
+    }
+
+    // グレースケールをRGBに展開して書き戻す
+    const { data } = imageData;
+    for (let i = 0; i < gray.length; i++) {
+      data[i * 4] = gray[i];
+      data[i * 4 + 1] = gray[i];
+      data[i * 4 + 2] = gray[i];
+      data[i * 4 + 3] = 255;
+    }
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+    return { canvas, steps, windowSize };
+  }
+}
+
+/**
+ * RGBAからグレースケール（ITU-R BT.601）
+ */
+function toGrayscale(data) {
+  const gray = new Uint8ClampedArray(data.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+      0.299 * data[i * 4] +
+      0.587 * data[i * 4 + 1] +
+      0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * 暗部・明部の一定割合を除いた範囲を 0〜255 に伸長
+ */
+function stretchContrast(gray) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++)
+    histogram[gray[i]]++;
+
+  const cut = gray.length * STRETCH_PERCENTILE;
+  let low = 0;
+  for (let sum = 0; low < 255; low++) {
+    sum += histogram[low];
+    if (sum > cut) break;
+  }
+  let high = 255;
+  for (let sum = 0; high > 0; high--) {
+    sum += histogram[high];
+    if (sum > cut) break;
+  }
+  if (high <= low) return;
+
+  const scale = 255 / (high - low);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (gray[i] - low) * scale;
+  }
+}
+
+/**
+ * 3×3 メディアンフィルタ
+ * 行ごとに窓のヒストグラムを列単位で更新し、中央値を前の画素の値から探す（Huang 法）
+ */
+function medianFilter(gray, width, height) {
+  const output = new Uint8ClampedArray(gray.length);
+  const histogram = new Uint32Array(256);
+  const clampX = (x) => Math.min(width - 1, Math.max(0, x));
+  for (let y = 0; y < height; y++) {
+    const rows = [
+      Math.max(0, y - 1) * width,
+      y * width,
+      Math.min(height - 1, y + 1) * width,
+    ];
+    histogram.fill(0);
+    let median = 0;
+    let below = 0;
+    // 窓の 1 列分（3 画素）をヒストグラムに加える・除く
+    const update = (x, delta) => {
+      for (const row of rows) {
+        const v = gray[row + x];
+        histogram[v] += delta;
+        if (v < median) below += delta;
+      }
+    };
+
+    update(clampX(-1), 1);
+    update(0, 1);
+    update(clampX(1), 1);
+    for (let x = 0; x < width; x++) {
+      if (x > 0) {
+        update(clampX(x - 2), -1);
+        update(clampX(x + 1), 1);
+      }
+      // median より小さい画素が 4 個以下、median 以下の画素が 5 個以上になるよう移動
+      while (below > 4) {
+        median--;
+        below -= histogram[median];
+      }
+      while (below + histogram[median] <= 4) {
+        below += histogram[median];
+        median++;
+      }
+      output[y * width + x] = median;
+    }
+  }
+  return output;
+}
+
+/**
+ * 裏写りの除去
+ * 局所的な紙の明るさで正規化し、紙に近い淡い画素を紙の色にする
+ */
+function suppressBleedThrough(
+  gray,
+  width,
+  height,
+  windowSize,
+  threshold
+) {
+  const sample = cellGrid(
+    gray,
+    width,
+    height,
+    windowSize,
+    'max'
+  );
+  const background = new Float64Array(1);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      sample(x, y, background);
+      const paper = Math.max(1, background[0]);
+      const normalized = gray[i] / paper;
+      gray[i] =
+        normalized >= threshold ? 255 : normalized * 255;
+    }
+  }
+}
+
+/**
+ * 適応的二値化（Sauvola / Niblack）
+ */
+function binarize(
+  gray,
+  width,
+  height,
+  windowSize,
+  method,
+  k
+) {
+  const sample = cellGrid(
+    gray,
+    width,
+    height,
+    windowSize,
+    'meanStd'
+  );
+  const stats = new Float64Array(2);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      sample(x, y, stats);
+      const mean = stats[0];
+      const std = stats[1];
+      const threshold =
+        method === 'sauvola'
+          ? mean * (1 + k * (std / SAUVOLA_R - 1))
+          : mean + k * std;
+      gray[i] = gray[i] > threshold ? 255 : 0;
+    }
+  }
+}
+
+/**
+ * 局所統計量を粗い格子で計算し、双線形補間で参照する
+ * 画素ごとの積分画像を持たないため、大きな画像でもメモリ使用量が小さい
+ *
+ * @param {string} mode 'meanStd'（平均・標準偏差）または 'max'（最大値）
+ * @returns {Function} (x, y, out) で画素の値を out に書き込む関数（'max' は out[0]、'meanStd' は out[0] に平均・out[1] に標準偏差）
+ */
+function cellGrid(gray, width, height, windowSize, mode) {
+  // 3×3 セルで窓の大きさになるようにセルの一辺を決める
+  const cell = Math.max(1, Math.round(windowSize / 3));
+  const cols = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+  const sum = new Float64Array(cols * rows);
+  const sumSq = new Float64Array(cols * rows);
+  const count = new Float64Array(cols * rows);
+  const max = new Float32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cell) * cols;
+    for (let x = 0; x < width; x++) {
+      const c = row + Math.floor(x / cell);
+      const v = gray[y * width + x];
+      sum[c] += v;
+      sumSq[c] += v * v;
+      count[c]++;
+      if (v > max[c]) max[c] = v;
+    }
+  }
+
+  // 各セルを中心とする 3×3 セルで集計
+  const first = new Float32Array(cols * rows);
+  const second = new Float32Array(cols * rows);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      let s = 0;
+      let sq = 0;
+      let n = 0;
+      let m = 0;
+      for (
+        let rr = Math.max(0, r - 1);
+        rr <= Math.min(rows - 1, r + 1);
+        rr++
+      ) {
+        for (
+          let cc = Math.max(0, c - 1);
+          cc <= Math.min(cols - 1, c + 1);
+          cc++
+        ) {
+          const j = rr * cols + cc;
+          s += sum[j];
+          sq += sumSq[j];
+          n += count[j];
+          if (max[j] > m) m = max[j];
+        }
+      }
+      const j = r * cols + c;
+      if (mode === 'max') {
+        first[j] = m;
+      } else {
+        const mean = s / n;
+        first[j] = mean;
+        second[j] = Math.sqrt(
+          Math.max(0, sq / n - mean * mean)
+        );
+      }
+    }
+  }
+
+  // セル中心の値から双線形補間
+  return (x, y, out) => {
+    const fx = Math.min(
+      cols - 1,
+      Math.max(0, (x + 0.5) / cell - 0.5)
+    );
+    const fy = Math.min(
+      rows - 1,
+      Math.max(0, (y + 0.5) / cell - 0.5)
+    );
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(cols - 1, x0 + 1);
+    const top = y0 * cols;
+    const bottom = Math.min(rows - 1, y0 + 1) * cols;
+    const tx = fx - x0;
+    const ty = fy - y0;
+    out[0] =
+      (first[top + x0] * (1 - tx) + first[top + x1] * tx) *
+        (1 - ty) +
+      (first[bottom + x0] * (1 - tx) +
+        first[bottom + x1] * tx) *
+        ty;
+    if (mode === 'meanStd') {
+      out[1] =
+        (second[top + x0] * (1 - tx) +
+          second[top + x1] * tx) *
+          (1 - ty) +
+        (second[bottom + x0] * (1 - tx) +
+          second[bottom + x1] * tx) *
+          ty;
+    }
+  };
+}
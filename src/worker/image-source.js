@@ -0,0 +1,92 @@
+/**
+ * 入力画像の復元モジュール
+ * ジョブごとに一度だけ画像をデコードし、再利用可能なソースキャンバスを作成
+ */
+
+import {
+  OCRError,
+  OCRErrorCode,
+} from '../utils/ocr-error.js';
+
+/**
+ * 入力画像からソースキャンバスを作成
+ *
+ * @param {ImageData|ImageBitmap|ArrayBuffer|Blob|OffscreenCanvas} image 入力画像
+ * @returns {Promise<OffscreenCanvas>} ソースキャンバス
+ */
+export async function createImageSource(image) {
+  if (!image) {
+    throw new OCRError(
+      OCRErrorCode.INVALID_IMAGE,
+      'Image input is required',
+      { stage: 'image_decode' }
+    );
+  }
+
+  if (
+    image instanceof OffscreenCanvas ||
+    image instanceof ImageData
+  ) {
+    return toSourceCanvas(image);
+  }
+
+  // エンコード済みの画像データ（JPEG/PNG等）はWorker内でデコード
+  let bitmap = image;
+  try {
+    if (image instanceof ArrayBuffer) {
+      bitmap = await createImageBitmap(new Blob([image]));
+    } else if (image instanceof Blob) {
+      bitmap = await createImageBitmap(image);
+    }
+  } catch (error) {
+    throw new OCRError(
+      OCRErrorCode.INVALID_IMAGE,
+      `Failed to decode image: ${error.message}`,
+      { stage: 'image_decode', cause: error }
+    );
+  }
+
+  if (!(bitmap instanceof ImageBitmap)) {
+    throw new OCRError(
+      OCRErrorCode.INVALID_IMAGE,
+      'Unsupported image input type',
+      { stage: 'image_decode' }
+    );
+  }
+
+  if (bitmap.width === 0 || bitmap.height === 0) {
+    throw new OCRError(
+      OCRErrorCode.INVALID_IMAGE,
+      'Image has no pixels',
+      { stage: 'image_decode' }
+    );
+  }
+
+  const canvas = new OffscreenCanvas(
+    bitmap.width,
+    bitmap.height
+  );
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  // 転送されたビットマップはキャンバスに描画後すぐに解放
+  bitmap.close();
+  return canvas;
+}
+
+/**
+ * 描画元として使えるキャンバスを取得
+ * ImageDataが渡された場合のみキャンバスに展開する
+ *
+ * @param {ImageData|OffscreenCanvas} image 入力画像
+ * @returns {OffscreenCanvas} 描画元キャンバス
+ */
+export function toSourceCanvas(image) {
+  if (image instanceof ImageData) {
+    const canvas = new OffscreenCanvas(
+      image.width,
+      image.height
+    );
+    canvas.getContext('2d').putImageData(image, 0, 0);
+    return canvas;
+  }
+  return image;
+}
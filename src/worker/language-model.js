@@ -0,0 +1,142 @@
+/**
+ * 文字n-gram言語モデルモジュール
+ * ARPA形式の言語モデルを読み込み、ビームサーチの再スコアリングに用いる
+ * 各「単語」を1文字として扱う（文字単位で学習したモデルを想定）
+ */
+
+// <unk> を含まないモデルで、未知の文字に与える対数確率（log10）
+const UNKNOWN_LOG10_PROB = -10;
+
+export class NgramLanguageModel {
+  constructor() {
+    this.order = 0;
+    // n-gram（文字を空白で区切った文字列）→ { logProb, backoff }（自然対数）
+    this.ngrams = new Map();
+    // 1-gram 分布のエントロピー（1文字あたりの対数確率の期待値の符号を反転した値）
+    this.entropy = 0;
+  }
+
+  /**
+   * ARPA形式のファイルを読み込む
+   *
+   * @param {string} url 言語モデルファイルのパス
+   * @returns {Promise<NgramLanguageModel>} 言語モデル
+   */
+  static async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load language model: ${response.status} ${response.statusText}`
+      );
+    }
+    const model = NgramLanguageModel.parse(
+      await response.text()
+    );
+    console.log(
+      `言語モデルを読み込みました: ${model.order}-gram, ${model.ngrams.size}件`
+    );
+    return model;
+  }
+
+  /**
+   * ARPA形式のテキストを解析
+   * 確率・バックオフ重みは log10 から自然対数に変換して保持する
+   *
+   * @param {string} text ARPA形式のテキスト
+   * @returns {NgramLanguageModel} 言語モデル
+   */
+  static parse(text) {
+    const model = new NgramLanguageModel();
+    let section = null;
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (line === '\\data\\') {
+        section = 'data';
+        continue;
+      }
+      if (line === '\\end\\') break;
+      const header = line.match(/^\\(\d+)-grams:$/);
+      if (header) {
+        section = Number(header[1]);
+        model.order = Math.max(model.order, section);
+        continue;
+      }
+      if (typeof section !== 'number') continue;
+
+      // 確率、n-gram を構成する n 個の文字、（あれば）バックオフ重み
+      const fields = line.split(/\s+/);
+      if (fields.length < section + 1) continue;
+      const logProb = Number(fields[0]);
+      const backoff = Number(fields[section + 1] ?? 0);
+      model.ngrams.set(
+        fields.slice(1, section + 1).join(' '),
+        {
+          logProb: logProb * Math.LN10,
+          backoff:
+            (Number.isFinite(backoff) ? backoff : 0) *
+            Math.LN10,
+        }
+      );
+    }
+
+    if (model.order === 0 || model.ngrams.size === 0) {
+      throw new Error(
+        'Invalid language model: no n-grams found in ARPA file'
+      );
+    }
+
+    // 文脈にのみ現れる <s> は除く
+    for (const [key, { logProb }] of model.ngrams) {
+      if (key.includes(' ') || key === '<s>') continue;
+      model.entropy -= Math.exp(logProb) * logProb;
+    }
+    return model;
+  }
+
+  /**
+   * 文脈に続く文字の対数確率（自然対数）
+   * 文脈の n-gram がない場合はバックオフ重みを加えて短い文脈で評価する
+   *
+   * @param {string[]} context 系列の先頭から直前までの文字
+   * @param {string} char 評価する文字（系列の終わりは '</s>'）
+   * @returns {number} 対数確率
+   */
+  score(context, char) {
+    const history = ['<s>', ...context].slice(
+      Math.max(0, context.length + 2 - this.order)
+    );
+
+    let backoff = 0;
+    for (let start = 0; start <= history.length; start++) {
+      const words = history.slice(start);
+      const entry = this.ngrams.get(
+        [...words, char].join(' ')
+      );
+      if (entry) return backoff + entry.logProb;
+      if (words.length > 0) {
+        backoff +=
+          this.ngrams.get(words.join(' '))?.backoff ?? 0;
+      }
+    }
+
+    return (
+      backoff +
+      (this.ngrams.get('<unk>')?.logProb ??
+        UNKNOWN_LOG10_PROB * Math.LN10)
+    );
+  }
+
+  /**
+   * 言語モデルの情報
+   */
+  getInfo() {
+    return {
+      order: this.order,
+      size: this.ngrams.size,
+      entropy: this.entropy,
+    };
+  }
+}
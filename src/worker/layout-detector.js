@@ -4,12 +4,111 @@
  */
 
 import { ort, createSession } from "./onnx-config.js";
+import { toSourceCanvas } from "./image-source.js";
+import { Profiler } from "./profiler.js";
+import { OCRError, OCRErrorCode, invalidOption } from "../utils/ocr-error.js";
+
+// タイル継ぎ目で分断されたとみなす、タイル境界からの距離（ピクセル）
+const SEAM_MARGIN = 8;
+// 重複領域での二重検出とみなす包含率（共通部分 / 小さい方の面積）
+const DUPLICATE_CONTAINMENT = 0.6;
+// 継ぎ目で分断された領域を結合する際の、継ぎ目と平行な方向の重なり率
+const SEAM_ALIGNMENT = 0.7;
 
 export class LayoutDetector {
   constructor() {
     this.session = null;
     this.inputSize = { width: 1024, height: 1024 };
     this.initialized = false;
+    this.defaultOptions = {
+      scoreThreshold: 0.3, // 信頼度の閾値
+      nmsThreshold: 0.5, // NMSのIoU閾値
+      minBoxSize: 10, // 最小サイズ（ピクセル）
+      maxDetections: null, // 最大検出数（null: 制限なし）
+      tiling: "auto", // タイル分割（true / false / "auto": 閾値を超える画像のみ）
+      tileSize: 1536, // タイルの一辺（元画像のピクセル）
+      tileOverlap: 256, // 隣接タイルの重なり幅（ピクセル）
+      tilingThreshold: 4096, // "auto" でタイル分割する画像の長辺（ピクセル）
+    };
+  }
+
+  /**
+   * 検出オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      scoreThreshold:
+        options.scoreThreshold ?? this.defaultOptions.scoreThreshold,
+      nmsThreshold: options.nmsThreshold ?? this.defaultOptions.nmsThreshold,
+      minBoxSize: options.minBoxSize ?? this.defaultOptions.minBoxSize,
+      maxDetections: options.maxDetections ?? this.defaultOptions.maxDetections,
+      tiling: options.tiling ?? this.defaultOptions.tiling,
+      tileSize: options.tileSize ?? this.defaultOptions.tileSize,
+      tileOverlap: options.tileOverlap ?? this.defaultOptions.tileOverlap,
+      tilingThreshold:
+        options.tilingThreshold ?? this.defaultOptions.tilingThreshold,
+    };
+
+    // 値の検証
+    const inUnitRange = (value) => value >= 0 && value <= 1;
+    if (!inUnitRange(resolved.scoreThreshold)) {
+      throw invalidOption(
+        "scoreThreshold",
+        resolved.scoreThreshold,
+        "layout_detection"
+      );
+    }
+    if (!inUnitRange(resolved.nmsThreshold)) {
+      throw invalidOption(
+        "nmsThreshold",
+        resolved.nmsThreshold,
+        "layout_detection"
+      );
+    }
+    if (!(resolved.minBoxSize >= 0)) {
+      throw invalidOption(
+        "minBoxSize",
+        resolved.minBoxSize,
+        "layout_detection"
+      );
+    }
+    if (
+      resolved.maxDetections !== null &&
+      !(Number.isInteger(resolved.maxDetections) && resolved.maxDetections > 0)
+    ) {
+      throw invalidOption(
+        "maxDetections",
+        resolved.maxDetections,
+        "layout_detection"
+      );
+    }
+    if (![true, false, "auto"].includes(resolved.tiling)) {
+      throw invalidOption("tiling", resolved.tiling, "layout_detection");
+    }
+    if (!(Number.isInteger(resolved.tileSize) && resolved.tileSize >= 256)) {
+      throw invalidOption("tileSize", resolved.tileSize, "layout_detection");
+    }
+    if (
+      !(
+        resolved.tileOverlap >= 0 &&
+        resolved.tileOverlap <= resolved.tileSize / 2
+      )
+    ) {
+      throw invalidOption(
+        "tileOverlap",
+        resolved.tileOverlap,
+        "layout_detection"
+      );
+    }
+    if (!(resolved.tilingThreshold > 0)) {
+      throw invalidOption(
+        "tilingThreshold",
+        resolved.tilingThreshold,
+        "layout_detection"
+      );
+    }
+
+    return resolved;
   }
 
   /**
@@ -24,94 +123,320 @@ export class LayoutDetector {
       console.log("Layout detector initialized successfully");
     } catch (error) {
       console.error("Failed to initialize layout detector:", error);
-      throw error;
+      throw new OCRError(
+        OCRErrorCode.MODEL_INIT_FAILED,
+        `Failed to initialize layout detector: ${error.message}`,
+        { stage: "initialization", cause: error }
+      );
     }
   }
 
   /**
    * 画像からテキスト領域を検出
    */
-  async detect(imageData, onProgress) {
+  async detect(imageData, onProgress, options = {}, profiler = new Profiler()) {
+    const { detections } = await this.detectLayout(
+      imageData,
+      onProgress,
+      options,
+      profiler
+    );
+    return detections;
+  }
+
+  /**
+   * 画像からテキスト領域を検出し、前処理のメタデータと共に返す
+   * 各ステップの所要時間は profiler に記録する
+   */
+  async detectLayout(
+    imageData,
+    onProgress,
+    options = {},
+    profiler = new Profiler()
+  ) {
     if (!this.initialized) {
       throw new Error("Layout detector not initialized");
     }
 
+    const detectOptions = this.resolveOptions(options);
+
     try {
       console.log("[Detect] 入力画像の取得");
+      // 大きな画像はタイルに分割して検出
+      const source = toSourceCanvas(imageData);
+      const tiles = this.planTiles(source.width, source.height, detectOptions);
+      if (tiles) {
+        return await this.detectTiled(
+          source,
+          tiles,
+          onProgress,
+          detectOptions,
+          profiler
+        );
+      }
+
       // 1. 画像の前処理
       if (onProgress) onProgress(0.1);
-      const { tensor, originalSize, metadata } = await this.preprocessImage(
-        imageData
+      const { tensor, originalSize, metadata } = await profiler.measure(
+        "layoutPreprocess",
+        () => this.preprocessImage(source)
       );
 
       // 2. 推論実行
       if (onProgress) onProgress(0.5);
-      const output = await this.runInference(tensor);
+      const output = await profiler.measure("layoutInference", () =>
+        this.runInference(tensor)
+      );
 
       // 3. 後処理（NMS等）
       if (onProgress) onProgress(0.8);
-      const detections = this.postprocessOutput(output, metadata);
+      const detections = profiler.measureSync("layoutPostprocess", () =>
+        this.postprocessOutput(output, metadata, detectOptions)
+      );
 
       if (onProgress) onProgress(1.0);
       console.log(`[Detect] 検出数（NMS後）: ${detections.length}`);
-      return detections;
+      return { detections, metadata: { ...metadata, tiles: null } };
     } catch (error) {
       console.error("Layout detection failed:", error);
-      throw error;
+      throw OCRError.from(
+        error,
+        OCRErrorCode.INFERENCE_FAILED,
+        "layout_detection"
+      );
+    }
+  }
+
+  /**
+   * タイル分割の計画
+   * タイル分割しない場合は null を返す
+   */
+  planTiles(width, height, options) {
+    const { tiling, tileSize, tileOverlap, tilingThreshold } = options;
+    const enabled =
+      tiling === "auto" ? Math.max(width, height) > tilingThreshold : tiling;
+    if (!enabled) return null;
+
+    const xs = tileOffsets(width, tileSize, tileOverlap);
+    const ys = tileOffsets(height, tileSize, tileOverlap);
+    // 1タイルに収まる画像は通常の検出と同じ
+    if (xs.length * ys.length === 1) return null;
+
+    return ys.flatMap((y) =>
+      xs.map((x) => ({
+        x,
+        y,
+        width: Math.min(tileSize, width - x),
+        height: Math.min(tileSize, height - y),
+      }))
+    );
+  }
+
+  /**
+   * タイルごとに検出し、ページ座標に戻して統合
+   */
+  async detectTiled(source, tiles, onProgress, options, profiler) {
+    // 件数の制限は統合後に行う
+    const tileOptions = { ...options, maxDetections: null };
+    const detections = [];
+
+    for (let i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      const { tensor, metadata } = await profiler.measure(
+        "layoutPreprocess",
+        () => this.preprocessImage(source, tile)
+      );
+      const output = await profiler.measure("layoutInference", () =>
+        this.runInference(tensor)
+      );
+      const tileDetections = profiler.measureSync("layoutPostprocess", () =>
+        this.postprocessOutput(output, metadata, tileOptions)
+      );
+
+      for (const detection of tileDetections) {
+        detections.push({
+          ...detection,
+          x: detection.x + tile.x,
+          y: detection.y + tile.y,
+          tileIndices: [i],
+          seams: this.findSeams(detection, tile, source),
+        });
+      }
+
+      if (onProgress) onProgress(((i + 1) / tiles.length) * 0.9);
+    }
+
+    let merged = profiler.measureSync("layoutMerge", () =>
+      this.mergeTileDetections(detections, options)
+    );
+    if (
+      options.maxDetections != null &&
+      merged.length > options.maxDetections
+    ) {
+      merged = merged.slice(0, options.maxDetections);
+    }
+
+    if (onProgress) onProgress(1.0);
+    console.log(
+      `[Detect] タイル数: ${tiles.length}, 検出数（統合後）: ${merged.length}`
+    );
+
+    return {
+      detections: merged,
+      metadata: {
+        originalWidth: source.width,
+        originalHeight: source.height,
+        maxWH: null,
+        inputWidth: this.inputSize.width,
+        inputHeight: this.inputSize.height,
+        tiles,
+      },
+    };
+  }
+
+  /**
+   * 検出領域がタイル内部の境界（継ぎ目）で切れているかを判定
+   * 画像の外周に接する辺は継ぎ目とみなさない
+   */
+  findSeams(detection, tile, source) {
+    return {
+      left: tile.x > 0 && detection.x <= SEAM_MARGIN,
+      top: tile.y > 0 && detection.y <= SEAM_MARGIN,
+      right:
+        tile.x + tile.width < source.width &&
+        detection.x + detection.width >= tile.width - SEAM_MARGIN,
+      bottom:
+        tile.y + tile.height < source.height &&
+        detection.y + detection.height >= tile.height - SEAM_MARGIN,
+    };
+  }
+
+  /**
+   * タイル間の検出結果を統合
+   * 重複領域での二重検出と、継ぎ目で分断された領域を結合した後にNMSを適用する
+   */
+  mergeTileDetections(detections, options) {
+    let boxes = [...detections].sort((a, b) => b.confidence - a.confidence);
+
+    // 3タイル以上にまたがる領域のため、結合がなくなるまで繰り返す
+    let changed = true;
+    while (changed) {
+      changed = false;
+      const kept = [];
+      for (const box of boxes) {
+        const target = kept.find((k) => this.shouldMergeTileBoxes(k, box));
+        if (target) {
+          const x1 = Math.min(target.x, box.x);
+          const y1 = Math.min(target.y, box.y);
+          const x2 = Math.max(target.x + target.width, box.x + box.width);
+          const y2 = Math.max(target.y + target.height, box.y + box.height);
+          target.x = x1;
+          target.y = y1;
+          target.width = x2 - x1;
+          target.height = y2 - y1;
+          target.confidence = Math.max(target.confidence, box.confidence);
+          target.tileIndices = [...target.tileIndices, ...box.tileIndices];
+          target.seams = {
+            left: target.seams.left || box.seams.left,
+            top: target.seams.top || box.seams.top,
+            right: target.seams.right || box.seams.right,
+            bottom: target.seams.bottom || box.seams.bottom,
+          };
+          changed = true;
+        } else {
+          kept.push({ ...box });
+        }
+      }
+      boxes = kept;
+    }
+
+    const merged = boxes.map(
+      ({ tileIndices, seams, ...detection }) => detection
+    );
+    return this.applyNMS(merged, options.nmsThreshold);
+  }
+
+  /**
+   * 異なるタイルの2つの検出領域を結合すべきか判定
+   */
+  shouldMergeTileBoxes(a, b) {
+    if (a.classId !== b.classId) return false;
+    if (a.tileIndices.some((index) => b.tileIndices.includes(index))) {
+      return false;
+    }
+
+    const interW = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const interH =
+      Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (interW <= 0 || interH <= 0) return false;
+
+    // 重複領域で二重に検出されたもの
+    const minArea = Math.min(a.width * a.height, b.width * b.height);
+    if ((interW * interH) / minArea >= DUPLICATE_CONTAINMENT) return true;
+
+    // 水平な継ぎ目で上下に分断されたもの
+    const cutHorizontally =
+      a.seams.top || a.seams.bottom || b.seams.top || b.seams.bottom;
+    if (
+      cutHorizontally &&
+      interW / Math.min(a.width, b.width) >= SEAM_ALIGNMENT
+    ) {
+      return true;
     }
+
+    // 垂直な継ぎ目で左右に分断されたもの
+    const cutVertically =
+      a.seams.left || a.seams.right || b.seams.left || b.seams.right;
+    return (
+      cutVertically && interH / Math.min(a.height, b.height) >= SEAM_ALIGNMENT
+    );
   }
 
   /**
    * 画像の前処理（参考版に基づく改良版）
+   * rect を指定した場合はその範囲（タイル）のみを入力とする
    */
-  async preprocessImage(imageData) {
+  async preprocessImage(imageData, rect = null) {
     return new Promise((resolve, reject) => {
       try {
-        // ImageDataから画像を復元
-        const imageCanvas = new OffscreenCanvas(
-          imageData.width,
-          imageData.height
-        );
-        const imageCtx = imageCanvas.getContext("2d");
-        imageCtx.putImageData(imageData, 0, 0);
+        // ジョブのソースキャンバスをそのまま描画元に使う
+        const imageCanvas = toSourceCanvas(imageData);
+        const sourceRect = rect || {
+          x: 0,
+          y: 0,
+          width: imageCanvas.width,
+          height: imageCanvas.height,
+        };
 
         const originalSize = {
-          width: imageData.width,
-          height: imageData.height,
+          width: sourceRect.width,
+          height: sourceRect.height,
         };
 
         // 参考版と同様に、正方形のパディング画像を作成
         const maxWH = Math.max(originalSize.width, originalSize.height);
 
-        // 正方形パディング用のキャンバス
-        const paddingCanvas = new OffscreenCanvas(maxWH, maxWH);
-        const paddingCtx = paddingCanvas.getContext("2d");
-
-        // 背景を黒で塗りつぶし
-        paddingCtx.fillStyle = "rgb(0, 0, 0)";
-        paddingCtx.fillRect(0, 0, maxWH, maxWH);
-
-        // 元の画像を左上に配置（参考版と同様）
-        paddingCtx.drawImage(imageCanvas, 0, 0);
-
-        // パディングされた画像をモデルの入力サイズにリサイズ
+        // モデルの入力サイズのキャンバスを用意し、背景を黒で塗りつぶし
+        // （フルサイズの正方形キャンバスを経由せず、縮小しながら直接描画する）
         const canvas = new OffscreenCanvas(
           this.inputSize.width,
           this.inputSize.height
         );
         const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "rgb(0, 0, 0)";
+        ctx.fillRect(0, 0, this.inputSize.width, this.inputSize.height);
 
-        // パディングされた画像をリサイズ
+        // 元の画像を左上に配置してリサイズ（参考版と同様）
         ctx.drawImage(
-          paddingCanvas,
-          0,
-          0,
-          maxWH,
-          maxWH,
+          imageCanvas,
+          sourceRect.x,
+          sourceRect.y,
+          originalSize.width,
+          originalSize.height,
           0,
           0,
-          this.inputSize.width,
-          this.inputSize.height
+          (originalSize.width / maxWH) * this.inputSize.width,
+          (originalSize.height / maxWH) * this.inputSize.height
         );
 
         // ImageDataを取得
@@ -192,8 +517,10 @@ export class LayoutDetector {
   /**
    * 後処理（検出結果の解析）- 参考版に基づく改良版
    */
-  postprocessOutput(output, metadata) {
+  postprocessOutput(output, metadata, options = {}) {
     const detections = [];
+    const { scoreThreshold, nmsThreshold, minBoxSize, maxDetections } =
+      this.resolveOptions(options);
 
     try {
       // RTMDetの出力形式を確認
@@ -239,7 +566,7 @@ export class LayoutDetector {
         const classId = Number(labelsData[i]);
 
         // 信頼度でフィルタリング
-        if (score < 0.3) continue;
+        if (score < scoreThreshold) continue;
 
         // 参考版と同様の座標変換: 入力画像サイズ → 元画像サイズ
         const normX1 = x1 / this.inputSize.width;
@@ -269,7 +596,7 @@ export class LayoutDetector {
         const height = finalY2 - finalY1;
 
         // 最小サイズフィルタ
-        if (width < 10 || height < 10) continue;
+        if (width < minBoxSize || height < minBoxSize) continue;
 
         detections.push({
           x: finalX1,
@@ -282,13 +609,22 @@ export class LayoutDetector {
       }
 
       // Non-Maximum Suppression (NMS) を適用
-      const filteredDetections = this.applyNMS(detections, 0.5);
+      let filteredDetections = this.applyNMS(detections, nmsThreshold);
+
+      // 最大検出数で制限（NMS後は信頼度の降順）
+      if (maxDetections != null && filteredDetections.length > maxDetections) {
+        filteredDetections = filteredDetections.slice(0, maxDetections);
+      }
 
       console.log(`[Postprocess] NMS後 検出数: ${filteredDetections.length}`);
       return filteredDetections;
     } catch (error) {
       console.error("Error in postprocessing:", error);
-      return [];
+      throw new OCRError(
+        OCRErrorCode.INFERENCE_FAILED,
+        `Failed to parse layout detection output: ${error.message}`,
+        { stage: "layout_detection", cause: error }
+      );
     }
   }
 
@@ -339,6 +675,17 @@ export class LayoutDetector {
     return iou;
   }
 
+  /**
+   * モデルの入出力情報を取得
+   */
+  getModelInfo() {
+    return {
+      inputShape: [1, 3, this.inputSize.height, this.inputSize.width],
+      inputNames: this.session ? [...this.session.inputNames] : [],
+      outputNames: this.session ? [...this.session.outputNames] : [],
+    };
+  }
+
   /**
    * リソースの解放
    */
@@ -350,3 +697,19 @@ export class LayoutDetector {
     this.initialized = false;
   }
 }
+
+/**
+ * 1軸方向のタイル開始位置を計算
+ * 最後のタイルは画像の端に揃える
+ */
+function tileOffsets(length, tileSize, overlap) {
+  if (length <= tileSize) return [0];
+
+  const stride = tileSize - overlap;
+  const offsets = [];
+  for (let offset = 0; offset + tileSize < length; offset += stride) {
+    offsets.push(offset);
+  }
+  offsets.push(length - tileSize);
+  return offsets;
+}
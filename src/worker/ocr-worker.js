@@ -3,103 +3,462 @@
  * OCR処理をバックグラウンドで実行
  */
 
-import { loadModel } from '../utils/model-loader.js';
+import {
+  loadModel,
+  getModelId,
+} from '../utils/model-loader.js';
+import {
+  getRecognitionModels,
+  getTextRecognitionConfig,
+} from '../utils/config-loader.js';
 import { LayoutDetector } from './layout-detector.js';
 import { TextRecognizer } from './text-recognizer.js';
+import { RecognitionCascade } from './recognition-cascade.js';
+import { NgramLanguageModel } from './language-model.js';
 import { ReadingOrderProcessor } from './reading-order.js';
+import { SpreadSplitter } from './spread-splitter.js';
+import { OrientationCorrector } from './orientation-corrector.js';
+import { ImageEnhancer } from './image-enhancer.js';
+import { StampRemover } from './stamp-remover.js';
+import { createImageSource } from './image-source.js';
+import { Profiler } from './profiler.js';
+import {
+  OCRError,
+  OCRErrorCode,
+} from '../utils/ocr-error.js';
+import {
+  PROTOCOL_VERSION,
+  OUTPUT_FORMATS,
+  WORKER_FEATURES,
+  isCompatibleProtocol,
+} from '../utils/protocol.js';
 import './onnx-config.js'; // ONNX Runtime Web の設定を読み込み
 
 class OCRWorker {
   constructor() {
     this.layoutDetector = null;
     this.textRecognizer = null;
+    // 言語モデルの読み込み（初回のビームサーチの要求時に開始）
+    this.languageModelLoading = null;
     this.readingOrderProcessor =
       new ReadingOrderProcessor();
+    this.spreadSplitter = new SpreadSplitter();
+    this.orientationCorrector = new OrientationCorrector();
+    this.imageEnhancer = new ImageEnhancer();
+    this.stampRemover = new StampRemover();
     this.isInitialized = false;
+    this.currentTaskId = null;
+    this.cancelledTaskIds = new Set();
   }
 
   /**
    * ワーカーの初期化
+   * @param {Object} options - 初期化オプション
+   * @param {Array<string>} [options.models] - 読み込むモデル（'layout' | 'recognition'）
+   * @param {Object} [options.modelData] - 読み込み済みのモデルデータ（指定時はダウンロード・キャッシュ参照を省略）
+   * @param {string} [options.id] - タスク中に読み込む場合のタスクID（進捗メッセージに付与）
+   * @throws {OCRError} モデルの読み込み・初期化に失敗した場合
    */
-  async initialize() {
+  async initialize({
+    models = ['layout', 'recognition'],
+    modelData = {},
+    id,
+  } = {}) {
     if (this.isInitialized) return;
 
-    try {
-      this.postMessage({
-        type: 'OCR_PROGRESS',
-        stage: 'initializing',
-        progress: 0.1,
-        message: 'Initializing OCR Worker...',
-      });
+    this.postMessage({
+      type: 'OCR_PROGRESS',
+      id,
+      stage: 'initializing',
+      progress: 0.1,
+      message: 'Initializing OCR Worker...',
+    });
 
-      // モデルの読み込み
-      const layoutModelData = await loadModel(
-        'layout',
-        (progress) => {
-          this.postMessage({
-            type: 'OCR_PROGRESS',
-            stage: 'loading_layout_model',
-            progress: 0.1 + progress * 0.4,
-            message: `Loading layout detection model... ${Math.round(
-              progress * 100
-            )}%`,
-          });
-        }
+    // モデルの読み込みと検出器・リコグナイザーの初期化
+    try {
+      if (models.includes('layout')) {
+        await this.loadLayoutDetector(modelData.layout, id);
+      }
+      if (models.includes('recognition')) {
+        await this.loadTextRecognizer(
+          modelData.recognition,
+          id
+        );
+      }
+    } catch (error) {
+      throw OCRError.from(
+        error,
+        OCRErrorCode.MODEL_INIT_FAILED,
+        'initialization'
       );
+    }
 
-      const recognitionModelData = await loadModel(
-        'recognition',
-        (progress) => {
-          this.postMessage({
-            type: 'OCR_PROGRESS',
-            stage: 'loading_recognition_model',
-            progress: 0.5 + progress * 0.4,
-            message: `Loading text recognition model... ${Math.round(
-              progress * 100
-            )}%`,
-          });
-        }
+    this.isInitialized = Boolean(
+      this.layoutDetector && this.textRecognizer
+    );
+    console.log('OCR Worker initialized successfully');
+
+    this.postMessage({
+      type: 'OCR_PROGRESS',
+      id,
+      stage: 'initialized',
+      progress: 1.0,
+      message: 'OCR Worker initialized successfully',
+    });
+  }
+
+  /**
+   * Workerの能力情報（WORKER_READY で送信）
+   */
+  async getCapabilities() {
+    const describe = async (type, component) => {
+      if (!component) return null;
+      let id = null;
+      try {
+        id = await getModelId(type);
+      } catch (error) {
+        // 設定にないモデル（データを直接渡された場合）は識別子なし
+      }
+      return { id, ...component.getModelInfo() };
+    };
+
+    return {
+      protocolVersion: PROTOCOL_VERSION,
+      models: {
+        layout: await describe(
+          'layout',
+          this.layoutDetector
+        ),
+        recognition: await describe(
+          'recognition',
+          this.textRecognizer
+        ),
+      },
+      outputFormats: [...OUTPUT_FORMATS],
+      features: [...WORKER_FEATURES],
+    };
+  }
+
+  /**
+   * タスクに必要なモデルのうち未読み込みのものを読み込む
+   * 読み込んだ場合は、更新した能力情報をタスクIDを付けた WORKER_READY で送信する
+   *
+   * @param {string} id タスクID
+   * @param {Array<string>} models タスクに必要なモデル（'layout' | 'recognition'）
+   */
+  async loadTaskModels(id, models) {
+    const missing = models.filter((model) =>
+      model === 'layout'
+        ? !this.layoutDetector
+        : !this.textRecognizer
+    );
+    if (missing.length === 0) return;
+
+    await this.initialize({ models: missing, id });
+    this.postMessage({
+      type: 'WORKER_READY',
+      id,
+      ...(await this.getCapabilities()),
+    });
+  }
+
+  /**
+   * レイアウト検出モデルの読み込み
+   */
+  async loadLayoutDetector(modelData, id) {
+    if (this.layoutDetector) return;
+
+    const layoutModelData =
+      modelData ||
+      (await loadModel('layout', (progress) => {
+        this.postMessage({
+          type: 'OCR_PROGRESS',
+          id,
+          stage: 'loading_layout_model',
+          progress: 0.1 + progress * 0.4,
+          message: `Loading layout detection model... ${Math.round(
+            progress * 100
+          )}%`,
+        });
+      }));
+
+    const layoutDetector = new LayoutDetector();
+    await layoutDetector.initialize(layoutModelData);
+    this.layoutDetector = layoutDetector;
+  }
+
+  /**
+   * 文字認識モデルの読み込み
+   * 複数のモデル（最大文字列長の小さい順）が渡された場合はカスケードとして使い分ける
+   */
+  async loadTextRecognizer(modelData, id) {
+    if (this.textRecognizer) return;
+
+    const recognitionModelData =
+      modelData ||
+      (await loadModel('recognition', (progress) => {
+        this.postMessage({
+          type: 'OCR_PROGRESS',
+          id,
+          stage: 'loading_recognition_model',
+          progress: 0.5 + progress * 0.4,
+          message: `Loading text recognition model... ${Math.round(
+            progress * 100
+          )}%`,
+        });
+      }));
+
+    const models = Array.isArray(recognitionModelData)
+      ? recognitionModelData
+      : [recognitionModelData];
+    // 入力サイズ・最大文字列長は設定のモデル一覧と数が一致する場合のみ用いる
+    const modelConfigs = await getRecognitionModels();
+    const recognizers = [];
+    for (const [index, model] of models.entries()) {
+      const textRecognizer = new TextRecognizer();
+      await textRecognizer.initialize(
+        model,
+        null,
+        modelConfigs.length === models.length
+          ? modelConfigs[index]
+          : {}
       );
+      recognizers.push(textRecognizer);
+    }
+
+    if (recognizers.length === 1) {
+      this.textRecognizer = recognizers[0];
+      return;
+    }
+    const ids = await Promise.all(
+      recognizers.map((_, index) =>
+        getModelId('recognition', index).catch(() => null)
+      )
+    );
+    this.textRecognizer = new RecognitionCascade(
+      recognizers,
+      ids
+    );
+  }
 
-      // 検出器とリコグナイザーの初期化
-      this.layoutDetector = new LayoutDetector();
-      await this.layoutDetector.initialize(layoutModelData);
+  /**
+   * ビームサーチで用いる言語モデルの読み込み（設定されている場合のみ）
+   * 初回の decoding: 'beam' の要求時に読み込み、失敗した場合は次の要求で再試行する
+   *
+   * @throws {OCRError} 言語モデルの読み込みに失敗した場合
+   */
+  async loadLanguageModel() {
+    if (!this.languageModelLoading) {
+      this.languageModelLoading = (async () => {
+        const { language_model: languageModelPath } =
+          await getTextRecognitionConfig();
+        if (!languageModelPath) return;
+        const languageModel = await NgramLanguageModel.load(
+          languageModelPath
+        );
+        this.textRecognizer.setLanguageModel(languageModel);
+      })().catch((error) => {
+        this.languageModelLoading = null;
+        throw OCRError.from(
+          error,
+          OCRErrorCode.MODEL_DOWNLOAD_FAILED,
+          'text_recognition'
+        );
+      });
+    }
+    return this.languageModelLoading;
+  }
+
+  /**
+   * 入力画像のデコードと前処理（向き・傾きの補正、印影の除去、画像補正）
+   * 各処理の間でキャンセル要求を確認する
+   * レイアウト検出を行わないジョブ（指定領域の認識）は、領域が元画像の座標のため向き・傾きを補正しない
+   *
+   * @param {Array<string>} targets このジョブで画像を使う処理（'layout' / 'recognition'）
+   * @returns {Promise<Object>} 元画像（source）、前処理後の画像（sources）、座標変換と各処理のオプション
+   */
+  async prepareSource(
+    data,
+    config,
+    { id, targets, profiler }
+  ) {
+    // 入力画像はジョブごとに一度だけデコードする
+    const source = await profiler.measure(
+      'imageDecode',
+      () => createImageSource(data.image ?? data.imageData)
+    );
+
+    // リクエストごとのオプションを解決
+    const detect = targets.includes('layout');
+    const options = {
+      layout: detect
+        ? this.layoutDetector.resolveOptions(config)
+        : null,
+      spread: detect
+        ? this.spreadSplitter.resolveOptions(config)
+        : null,
+      orientation: detect
+        ? this.orientationCorrector.resolveOptions(config)
+        : null,
+      stamps: this.stampRemover.resolveOptions(config),
+      enhancement:
+        this.imageEnhancer.resolveOptions(config),
+    };
 
-      this.textRecognizer = new TextRecognizer();
-      await this.textRecognizer.initialize(
-        recognitionModelData
+    // 向き・傾きの補正（以降の処理は補正後の画像で行う）
+    const {
+      source: corrected,
+      orientation,
+      transform,
+    } = detect
+      ? this.correctOrientation(source, config, profiler)
+      : { source, orientation: null, transform: null };
+    if (detect) {
+      await this.throwIfCancelled(id, 'orientation');
+    }
+
+    // 印影の除去（色を使うため画像補正より前に行う）
+    const { canvas: stampless, stamps } = this.removeStamps(
+      corrected,
+      config,
+      options.stamps,
+      profiler
+    );
+    await this.throwIfCancelled(id, 'stamp_removal');
+
+    // 画像補正（このジョブで使う処理のそれぞれに適用）
+    const { sources, enhancement } = this.enhanceImage(
+      stampless,
+      config,
+      options.enhancement,
+      targets,
+      profiler
+    );
+    await this.throwIfCancelled(id, 'enhancement');
+
+    return {
+      source,
+      corrected,
+      sources,
+      orientation,
+      transform,
+      stamps,
+      enhancement,
+      options,
+    };
+  }
+
+  /**
+   * OCR処理の実行
+   */
+  async processOCR(data) {
+    const { id, config = {} } = data;
+
+    await this.runTask(id, async () => {
+      const profiler = new Profiler();
+      await profiler.measure('modelLoad', () =>
+        this.loadTaskModels(id, ['layout', 'recognition'])
       );
+      await this.throwIfCancelled(id, 'initialization');
 
-      this.isInitialized = true;
-      console.log('OCR Worker initialized successfully');
+      const {
+        sources,
+        orientation,
+        transform,
+        stamps,
+        enhancement,
+        options,
+      } = await this.prepareSource(data, config, {
+        id,
+        targets: ['layout', 'recognition'],
+        profiler,
+      });
 
+      // Stage 1: レイアウト検出
       this.postMessage({
         type: 'OCR_PROGRESS',
-        stage: 'initialized',
-        progress: 1.0,
-        message: 'OCR Worker initialized successfully',
+        id,
+        stage: 'layout_detection',
+        progress: 0.1,
+        message: 'Detecting text regions...',
       });
-    } catch (error) {
+
+      const { detections: textRegions, pages } =
+        await this.detectPages({
+          id,
+          source: sources.layout,
+          config,
+          layoutOptions: options.layout,
+          profiler,
+          onProgress: (progress) => {
+            this.postMessage({
+              type: 'OCR_PROGRESS',
+              id,
+              stage: 'layout_detection',
+              progress: 0.1 + progress * 0.3,
+              message: `Detecting text regions... ${Math.round(
+                progress * 100
+              )}%`,
+            });
+          },
+        });
+      console.log('検出されたテキスト領域:', textRegions);
+      await this.throwIfCancelled(id, 'layout_detection');
+
+      const result = await this.recognizeRegions({
+        id,
+        source: sources.recognition,
+        regions: textRegions,
+        pages,
+        transform,
+        orientation,
+        enhancement,
+        stamps,
+        config,
+        layoutOptions: options.layout,
+        spreadOptions: options.spread,
+        orientationOptions: options.orientation,
+        stampOptions: options.stamps,
+        enhancementOptions: options.enhancement,
+        startTime: data.startTime,
+        profiler,
+      });
+
       this.postMessage({
-        type: 'OCR_ERROR',
-        error: error.message,
-        stage: 'initialization',
+        type: 'OCR_COMPLETE',
+        id,
+        ...result,
       });
-    }
+    });
   }
 
   /**
-   * OCR処理の実行
+   * レイアウト検出のみを実行（文字認識モデルは不要）
    */
-  async processOCR(data) {
-    const { id, imageData, config = {} } = data;
+  async processLayout(data) {
+    const { id, config = {} } = data;
 
-    try {
-      if (!this.isInitialized) {
-        await this.initialize();
-      }
+    await this.runTask(id, async () => {
+      const profiler = new Profiler();
+      await profiler.measure('modelLoad', () =>
+        this.loadTaskModels(id, ['layout'])
+      );
+      await this.throwIfCancelled(id, 'initialization');
+
+      const {
+        corrected,
+        sources,
+        orientation,
+        transform,
+        stamps,
+        enhancement,
+        options,
+      } = await this.prepareSource(data, config, {
+        id,
+        targets: ['layout'],
+        profiler,
+      });
 
-      // Stage 1: レイアウト検出
       this.postMessage({
         type: 'OCR_PROGRESS',
         id,
@@ -108,45 +467,470 @@ class OCRWorker {
         message: 'Detecting text regions...',
       });
 
-      const textRegions = await this.layoutDetector.detect(
-        imageData,
-        (progress) => {
+      const { detections, pages } = await this.detectPages({
+        id,
+        source: sources.layout,
+        config,
+        layoutOptions: options.layout,
+        profiler,
+        onProgress: (progress) => {
           this.postMessage({
             type: 'OCR_PROGRESS',
             id,
             stage: 'layout_detection',
-            progress: 0.1 + progress * 0.3,
+            progress: 0.1 + progress * 0.8,
             message: `Detecting text regions... ${Math.round(
               progress * 100
             )}%`,
           });
-        }
+        },
+      });
+      await this.throwIfCancelled(id, 'layout_detection');
+
+      // 分割しない場合は従来どおり検出時のメタデータを返す
+      const metadata =
+        pages.length === 1
+          ? pages[0].metadata
+          : {
+              originalWidth: corrected.width,
+              originalHeight: corrected.height,
+              maxWH: null,
+              inputWidth: pages[0].metadata.inputWidth,
+              inputHeight: pages[0].metadata.inputHeight,
+              tiles: null,
+            };
+
+      // 読み順の付与（オプション）
+      let regions = detections;
+      let readingOrderOptions = null;
+      if (config.applyReadingOrder) {
+        readingOrderOptions = {
+          ...this.readingOrderProcessor.resolveOptions(
+            config
+          ),
+          requireText: false,
+        };
+        regions = profiler.measureSync('readingOrder', () =>
+          this.readingOrderProcessor.process(
+            detections,
+            readingOrderOptions
+          )
+        );
+      }
+
+      // 座標を元画像に戻す
+      const toOriginal = (region) =>
+        this.orientationCorrector.toOriginal(
+          region,
+          transform
+        );
+
+      this.postMessage({
+        type: 'OCR_COMPLETE',
+        id,
+        regions: regions.map(toOriginal),
+        totalRegions: detections.length,
+        metadata,
+        pages: pages.map(toOriginal),
+        stamps: this.assignPages(stamps, pages).map(
+          toOriginal
+        ),
+        orientation,
+        enhancement,
+        processingTime: Date.now() - data.startTime,
+        settings: {
+          ...options,
+          readingOrder: readingOrderOptions,
+        },
+        profile: profiler.toJSON(),
+      });
+    });
+  }
+
+  /**
+   * 指定された領域のみを認識（レイアウト検出を省略）
+   */
+  async processRegions(data) {
+    const { id, regions = [], config = {} } = data;
+
+    await this.runTask(id, async () => {
+      const profiler = new Profiler();
+      await profiler.measure('modelLoad', () =>
+        this.loadTaskModels(id, ['recognition'])
       );
-      console.log('検出されたテキスト領域:', textRegions);
+      await this.throwIfCancelled(id, 'initialization');
+
+      const {
+        source,
+        sources,
+        stamps,
+        enhancement,
+        options,
+      } = await this.prepareSource(data, config, {
+        id,
+        targets: ['recognition'],
+        profiler,
+      });
+
+      const textRegions = this.normalizeRegions(
+        regions,
+        source
+      );
+
+      const result = await this.recognizeRegions({
+        id,
+        source: sources.recognition,
+        regions: textRegions,
+        pages: [
+          {
+            pageIndex: 0,
+            x: 0,
+            y: 0,
+            width: source.width,
+            height: source.height,
+          },
+        ],
+        transform: null,
+        orientation: null,
+        enhancement,
+        stamps,
+        config,
+        layoutOptions: null,
+        spreadOptions: null,
+        orientationOptions: null,
+        stampOptions: options.stamps,
+        enhancementOptions: options.enhancement,
+        startTime: data.startTime,
+        profiler,
+        // 指定された領域は読み順を付けるのみで、テキストがなくても除外しない
+        keepEmptyRegions: true,
+      });
 
-      // Stage 2: 文字認識
       this.postMessage({
-        type: 'OCR_PROGRESS',
+        type: 'OCR_COMPLETE',
         id,
-        stage: 'text_recognition',
-        progress: 0.4,
-        message: `Recognizing text in ${textRegions.length} regions...`,
+        ...result,
       });
+    });
+  }
+
+  /**
+   * 向き・傾きの推定と補正
+   * 補正しない場合は元の画像と transform: null を返す
+   */
+  correctOrientation(source, config, profiler) {
+    return profiler.measureSync('orientation', () => {
+      const { readingDirection } =
+        this.readingOrderProcessor.resolveOptions(config);
+      const estimate = this.orientationCorrector.estimate(
+        source,
+        config,
+        readingDirection
+      );
+      const { canvas, transform } =
+        this.orientationCorrector.correct(source, estimate);
+
+      return {
+        source: canvas,
+        orientation: {
+          ...estimate,
+          applied: transform !== null,
+        },
+        transform,
+      };
+    });
+  }
+
+  /**
+   * 印影の除去（無効な場合は元の画像を返す）
+   */
+  removeStamps(source, config, options, profiler) {
+    if (!options.removeStamps) {
+      return { canvas: source, stamps: [] };
+    }
+    return profiler.measureSync('stampRemoval', () =>
+      this.stampRemover.remove(source, config)
+    );
+  }
+
+  /**
+   * 画像補正
+   * applyEnhancementTo で指定された処理のうち、このジョブで使う画像にのみ適用する
+   *
+   * @param {Array<string>} targets このジョブで画像を使う処理（'layout' / 'recognition'）
+   */
+  enhanceImage(source, config, options, targets, profiler) {
+    const appliedTo = targets.filter(
+      (target) =>
+        options.applyEnhancementTo === 'both' ||
+        options.applyEnhancementTo === target
+    );
+    const steps = this.imageEnhancer.getSteps(options);
+    if (steps.length === 0 || appliedTo.length === 0) {
+      return {
+        sources: { layout: source, recognition: source },
+        enhancement: {
+          steps: [],
+          appliedTo: [],
+          windowSize: null,
+        },
+      };
+    }
+
+    const { canvas, windowSize } = profiler.measureSync(
+      'enhancement',
+      () => this.imageEnhancer.enhance(source, config)
+    );
+    const sources = {};
+    for (const target of ['layout', 'recognition']) {
+      sources[target] = appliedTo.includes(target)
+        ? canvas
+        : source;
+    }
+
+    return {
+      sources,
+      enhancement: { steps, appliedTo, windowSize },
+    };
+  }
+
+  /**
+   * 中心を含むページの番号を付与
+   */
+  assignPages(regions, pages) {
+    return regions.map((region) => {
+      const cx = region.x + region.width / 2;
+      const cy = region.y + region.height / 2;
+      const page = pages.find(
+        (p) =>
+          cx >= p.x &&
+          cx < p.x + p.width &&
+          cy >= p.y &&
+          cy < p.y + p.height
+      );
+      return { ...region, pageIndex: page?.pageIndex ?? 0 };
+    });
+  }
+
+  /**
+   * 見開きの分割とページごとのレイアウト検出
+   * 検出結果は元画像の座標に戻し、ページ番号を付与する
+   */
+  async detectPages({
+    id,
+    source,
+    config,
+    layoutOptions,
+    profiler,
+    onProgress,
+  }) {
+    const { columnDirection } =
+      this.readingOrderProcessor.resolveOptions(config);
+    const { pages } = profiler.measureSync(
+      'spreadDetection',
+      () =>
+        this.spreadSplitter.split(
+          source,
+          config,
+          columnDirection
+        )
+    );
+
+    const detections = [];
+    const pageResults = [];
+    for (const page of pages) {
+      const pageSource = this.spreadSplitter.cropPage(
+        source,
+        page
+      );
+      const { detections: pageDetections, metadata } =
+        await this.layoutDetector.detectLayout(
+          pageSource,
+          (progress) =>
+            onProgress(
+              (page.pageIndex + progress) / pages.length
+            ),
+          layoutOptions,
+          profiler
+        );
+      await this.throwIfCancelled(id, 'layout_detection');
+
+      for (const detection of pageDetections) {
+        detections.push({
+          ...detection,
+          x: detection.x + page.x,
+          y: detection.y + page.y,
+          pageIndex: page.pageIndex,
+        });
+      }
+      pageResults.push({ ...page, metadata });
+    }
+
+    return { detections, pages: pageResults };
+  }
+
+  /**
+   * 文字認識・読み順処理・出力生成（Stage 2〜4）
+   * 各ブロックの inputIndex は regions（指定された領域の場合は入力）での位置
+   *
+   * @param {boolean} [keepEmptyRegions] テキストのない領域も読み順に含めて返す
+   */
+  async recognizeRegions({
+    id,
+    source,
+    regions: textRegions,
+    pages,
+    transform,
+    orientation,
+    enhancement,
+    stamps,
+    config,
+    layoutOptions,
+    spreadOptions,
+    orientationOptions,
+    stampOptions,
+    enhancementOptions,
+    startTime,
+    profiler,
+    keepEmptyRegions = false,
+  }) {
+    // 補正後の画像上の座標を元画像に戻す
+    const toOriginal = (region) =>
+      this.orientationCorrector.toOriginal(
+        region,
+        transform
+      );
+
+    const readingOrderOptions = {
+      ...this.readingOrderProcessor.resolveOptions(config),
+      ...(keepEmptyRegions && { requireText: false }),
+    };
+    const recognitionOptions =
+      this.textRecognizer.resolveOptions(config);
+
+    // Stage 2: 文字認識
+    this.postMessage({
+      type: 'OCR_PROGRESS',
+      id,
+      stage: 'text_recognition',
+      progress: 0.4,
+      message: `Recognizing text in ${textRegions.length} regions...`,
+    });
 
-      const recognitionResults = [];
-      for (let i = 0; i < textRegions.length; i++) {
+    // 複数の領域をまとめて推論し、結果は領域ごとに処理する
+    const recognitionResults = [];
+    const warnings = [];
+
+    // 言語モデルを読み込めない場合は、言語モデルなしのビームサーチで続行し警告として記録
+    if (recognitionOptions.decoding === 'beam') {
+      try {
+        await this.loadLanguageModel();
+      } catch (error) {
+        console.warn(
+          '言語モデルの読み込みに失敗しました:',
+          error
+        );
+        warnings.push({
+          regionIndex: null,
+          code: error.code,
+          stage: error.stage,
+          message: error.message,
+        });
+      }
+    }
+    const batchSize =
+      this.textRecognizer.getBatchSize(config);
+    for (
+      let batchStart = 0;
+      batchStart < textRegions.length;
+      batchStart += batchSize
+    ) {
+      await this.throwIfCancelled(id, 'text_recognition');
+      const batch = textRegions.slice(
+        batchStart,
+        batchStart + batchSize
+      );
+      const batchResults =
+        await this.textRecognizer.recognizeBatch(
+          source,
+          batch,
+          config,
+          profiler
+        );
+      for (let j = 0; j < batch.length; j++) {
+        const i = batchStart + j;
         const region = textRegions[i];
         const confidence = region.confidence || 0.0;
-        const text = await this.textRecognizer.recognize(
-          imageData,
-          region
-        );
+        const { text, recognitionTime } = batchResults[j];
+        // バッチ単位の推論は recognitionInference に記録済み
+        profiler.record('region', recognitionTime);
 
-        recognitionResults.push({
+        // confidence はレイアウト検出のスコア、recognitionConfidence は文字認識の確信度
+        const recognized = {
           ...region,
+          inputIndex: region.inputIndex ?? i,
           text,
           confidence,
-        });
+          recognitionConfidence: text?.confidence ?? 0,
+        };
+        recognitionResults.push(recognized);
+
+        // 認識に失敗した領域は処理を続行し、警告として記録
+        if (text?.error) {
+          const { x, y, width, height } =
+            toOriginal(region);
+          warnings.push({
+            regionIndex: recognized.inputIndex,
+            code:
+              text.code || OCRErrorCode.INFERENCE_FAILED,
+            stage: 'text_recognition',
+            message: text.error,
+            x,
+            y,
+            width,
+            height,
+          });
+        }
+        // 一部の区間のみ失敗した長い行は、失敗した区間ごとに記録
+        for (const segment of text?.failedSegments ?? []) {
+          const { x, y, width, height } =
+            toOriginal(segment);
+          warnings.push({
+            regionIndex: recognized.inputIndex,
+            code:
+              segment.code || OCRErrorCode.INFERENCE_FAILED,
+            stage: 'text_recognition',
+            message: segment.error,
+            x,
+            y,
+            width,
+            height,
+          });
+        }
+
+        // 認識済みの領域を逐次送信（オプトイン）
+        if (config.streamRegions) {
+          const original = toOriginal(recognized);
+          this.postMessage({
+            type: 'OCR_PARTIAL',
+            id,
+            index: i,
+            total: textRegions.length,
+            region: {
+              x: original.x,
+              y: original.y,
+              width: original.width,
+              height: original.height,
+              classId: recognized.classId,
+              confidence: recognized.confidence,
+              recognitionConfidence:
+                recognized.recognitionConfidence,
+              pageIndex: recognized.pageIndex,
+              inputIndex: recognized.inputIndex,
+              text: text?.text || '',
+            },
+          });
+        }
 
         this.postMessage({
           type: 'OCR_PROGRESS',
@@ -159,87 +943,278 @@ class OCRWorker {
           } regions`,
         });
       }
-      console.log('認識結果すべて:', recognitionResults);
+    }
+    console.log('認識結果すべて:', recognitionResults);
+    await this.throwIfCancelled(id, 'text_recognition');
 
-      // Stage 3: 読み順処理
-      this.postMessage({
-        type: 'OCR_PROGRESS',
-        id,
-        stage: 'reading_order',
-        progress: 0.8,
-        message: 'Processing reading order...',
-      });
+    // Stage 3: 読み順処理
+    this.postMessage({
+      type: 'OCR_PROGRESS',
+      id,
+      stage: 'reading_order',
+      progress: 0.8,
+      message: 'Processing reading order...',
+    });
 
-      const orderedResults =
+    const orderedResults = profiler.measureSync(
+      'readingOrder',
+      () =>
         this.readingOrderProcessor.process(
-          recognitionResults
-        );
-      console.log('読み順処理後の結果:', orderedResults);
+          recognitionResults,
+          readingOrderOptions
+        )
+    );
+    console.log('読み順処理後の結果:', orderedResults);
+    await this.throwIfCancelled(id, 'reading_order');
 
-      // Stage 4: 結果の生成
-      this.postMessage({
-        type: 'OCR_PROGRESS',
-        id,
-        stage: 'generating_output',
-        progress: 0.9,
-        message: 'Generating output...',
-      });
+    // Stage 4: 結果の生成
+    this.postMessage({
+      type: 'OCR_PROGRESS',
+      id,
+      stage: 'generating_output',
+      progress: 0.9,
+      message: 'Generating output...',
+    });
 
-      const result = {
-        textBlocks: orderedResults,
-        totalRegions: textRegions.length,
-        successfulRecognitions: recognitionResults.filter(
-          (r) => r.text && r.text.text
-        ).length,
-        processingTime: Date.now() - data.startTime,
-      };
-      console.log('最終結果:', result);
+    // 読み順は補正後の画像で決め、出力の座標は元画像に戻す
+    const textBlocks = orderedResults.map(toOriginal);
+
+    const result = {
+      textBlocks,
+      totalRegions: textRegions.length,
+      successfulRecognitions: recognitionResults.filter(
+        (r) => r.text && r.text.text
+      ).length,
+      // 各ページの元画像における切り出し範囲
+      pages: pages.map(({ metadata, ...page }) =>
+        toOriginal(page)
+      ),
+      // 除去した印影の領域（文字認識の対象外）
+      stamps: this.assignPages(stamps, pages).map(
+        toOriginal
+      ),
+      orientation,
+      enhancement,
+      processingTime: Date.now() - startTime,
+      settings: {
+        layout: layoutOptions,
+        spread: spreadOptions,
+        orientation: orientationOptions,
+        stamps: stampOptions,
+        enhancement: enhancementOptions,
+        recognition: recognitionOptions,
+        readingOrder: readingOrderOptions,
+      },
+      warnings,
+    };
+    console.log('最終結果:', result);
 
+    profiler.measureSync('outputGeneration', () => {
       // テキスト出力は常に生成（UIで必要なため）
-      result.txt = this.generateTextOutput(orderedResults);
+      result.txt = this.generateTextOutput(textBlocks);
 
       // その他の出力形式の生成
       if (config.outputFormats) {
         if (config.outputFormats.includes('xml')) {
-          result.xml =
-            this.generateXMLOutput(orderedResults);
+          result.xml = this.generateXMLOutput(
+            textBlocks,
+            result.stamps
+          );
         }
         if (config.outputFormats.includes('json')) {
-          result.json =
-            this.generateJSONOutput(orderedResults);
+          result.json = this.generateJSONOutput(
+            textBlocks,
+            result.pages,
+            result.stamps
+          );
         }
       }
+    });
+    result.profile = profiler.toJSON();
 
-      this.postMessage({
-        type: 'OCR_COMPLETE',
-        id,
-        ...result,
-      });
+    return result;
+  }
+
+  /**
+   * 呼び出し側から渡された領域を検出結果と同じ形式に揃える
+   * {x, y, width, height}・bbox: [x1, y1, x2, y2]・polygon（points）: [[x, y], ...] を受け付け、画像範囲内に切り詰める
+   * 多角形は外接矩形を認識し、頂点は polygon として結果に含める
+   */
+  normalizeRegions(regions, image) {
+    if (!Array.isArray(regions)) {
+      throw new OCRError(
+        OCRErrorCode.INVALID_REGIONS,
+        'regions must be an array',
+        { stage: 'region_validation' }
+      );
+    }
+
+    return regions
+      .map((region, index) => {
+        let x1, y1, x2, y2;
+        const polygon = region.polygon ?? region.points;
+        if (Array.isArray(polygon)) {
+          const valid =
+            polygon.length > 0 &&
+            polygon.every(
+              (point) =>
+                Array.isArray(point) &&
+                point.length === 2 &&
+                point.every(Number.isFinite)
+            );
+          if (!valid) {
+            throw new OCRError(
+              OCRErrorCode.INVALID_REGIONS,
+              `Invalid polygon at index ${index}`,
+              { stage: 'region_validation' }
+            );
+          }
+          const xs = polygon.map(([x]) => x);
+          const ys = polygon.map(([, y]) => y);
+          x1 = Math.min(...xs);
+          y1 = Math.min(...ys);
+          x2 = Math.max(...xs);
+          y2 = Math.max(...ys);
+        } else if (Array.isArray(region.bbox)) {
+          [x1, y1, x2, y2] = region.bbox;
+        } else {
+          x1 = region.x;
+          y1 = region.y;
+          x2 = region.x + region.width;
+          y2 = region.y + region.height;
+        }
+
+        if (![x1, y1, x2, y2].every(Number.isFinite)) {
+          throw new OCRError(
+            OCRErrorCode.INVALID_REGIONS,
+            `Invalid region at index ${index}`,
+            { stage: 'region_validation' }
+          );
+        }
+
+        const left = Math.max(
+          0,
+          Math.round(Math.min(x1, x2))
+        );
+        const top = Math.max(
+          0,
+          Math.round(Math.min(y1, y2))
+        );
+        const right = Math.min(
+          image.width,
+          Math.round(Math.max(x1, x2))
+        );
+        const bottom = Math.min(
+          image.height,
+          Math.round(Math.max(y1, y2))
+        );
+
+        const { points, ...rest } = region;
+        return {
+          ...rest,
+          ...(Array.isArray(polygon) && {
+            polygon: polygon.map(([x, y]) => [x, y]),
+          }),
+          x: left,
+          y: top,
+          width: right - left,
+          height: bottom - top,
+          // 面積のない領域を除いても入力での位置を対応付けられるようにする
+          inputIndex: index,
+          confidence: region.confidence ?? 1.0,
+          classId: region.classId ?? 0,
+          pageIndex: region.pageIndex ?? 0,
+        };
+      })
+      .filter(
+        (region) => region.width > 0 && region.height > 0
+      );
+  }
+
+  /**
+   * タスクの実行（キャンセル・エラー通知の共通処理）
+   */
+  async runTask(id, task) {
+    this.currentTaskId = id;
+
+    try {
+      await task();
     } catch (error) {
+      const ocrError = OCRError.from(error);
+      if (ocrError.code === OCRErrorCode.CANCELLED) {
+        this.postMessage({
+          type: 'OCR_CANCELLED',
+          id,
+          ...ocrError.toMessage(),
+        });
+        return;
+      }
+
       this.postMessage({
         type: 'OCR_ERROR',
         id,
-        error: error.message,
-        stack: error.stack,
+        ...ocrError.toMessage(),
+        stack: ocrError.stack,
       });
+    } finally {
+      this.cancelledTaskIds.delete(id);
+      if (this.currentTaskId === id) {
+        this.currentTaskId = null;
+      }
+    }
+  }
+
+  /**
+   * 処理中タスクのキャンセル要求
+   * IDを省略した場合は現在処理中のタスクを対象とする
+   * 読み込み済みのモデルは破棄せず、次のタスクでそのまま利用する
+   */
+  cancel(id) {
+    const targetId = id ?? this.currentTaskId;
+    if (
+      targetId == null ||
+      targetId !== this.currentTaskId
+    ) {
+      return;
+    }
+    this.cancelledTaskIds.add(targetId);
+  }
+
+  /**
+   * キャンセル要求があれば処理を中断
+   * 推論・前処理はWorkerのイベントループを止めて同期的に進むため、
+   * 確認の前にイベントループへ制御を戻し、届いている CANCEL メッセージを処理させる
+   */
+  async throwIfCancelled(id, stage) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (this.cancelledTaskIds.has(id)) {
+      throw new OCRError(
+        OCRErrorCode.CANCELLED,
+        'OCR task cancelled',
+        { stage }
+      );
     }
   }
 
   /**
    * XML形式の出力生成
    */
-  generateXMLOutput(textBlocks) {
+  generateXMLOutput(textBlocks, stamps = []) {
     let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
     xml += '<document>\n';
 
     textBlocks.forEach((block, index) => {
-      xml += `  <textblock id="${index}" x="${block.x}" y="${block.y}" width="${block.width}" height="${block.height}" confidence="${block.confidence}">\n`;
+      xml += `  <textblock id="${index}" page="${block.pageIndex}" x="${block.x}" y="${block.y}" width="${block.width}" height="${block.height}" confidence="${block.confidence}" recognitionConfidence="${block.recognitionConfidence}">\n`;
       xml += `    <text>${this.escapeXML(
         block.text?.text || ''
       )}</text>\n`;
       xml += '  </textblock>\n';
     });
 
+    stamps.forEach((stamp, index) => {
+      xml += `  <stamp id="${index}" page="${stamp.pageIndex}" x="${stamp.x}" y="${stamp.y}" width="${stamp.width}" height="${stamp.height}"/>\n`;
+    });
+
     xml += '</document>';
     return xml;
   }
@@ -247,18 +1222,41 @@ class OCRWorker {
   /**
    * JSON形式の出力生成
    */
-  generateJSONOutput(textBlocks) {
+  generateJSONOutput(textBlocks, pages = [], stamps = []) {
     return {
       document: {
+        pages,
         textBlocks: textBlocks.map((block, index) => ({
           id: index,
+          inputIndex: block.inputIndex,
+          pageIndex: block.pageIndex,
           x: block.x,
           y: block.y,
           width: block.width,
           height: block.height,
           confidence: block.confidence,
+          recognitionConfidence:
+            block.recognitionConfidence,
+          // 向き・傾きを補正した場合の正確な四隅
+          ...(block.polygon && { polygon: block.polygon }),
           text: block.text?.text || '',
+          // 文字ごとの確率
+          characters: (block.text?.characters || []).map(
+            ({ char, probability }) => ({
+              char,
+              probability,
+            })
+          ),
+          // 文字ごとの候補（candidateCount を指定した場合のみ）
+          ...(block.text?.characters?.some(
+            (c) => c.candidates
+          ) && {
+            candidates: block.text.characters.map(
+              (c) => c.candidates || []
+            ),
+          }),
         })),
+        stamps,
       },
     };
   }
@@ -302,7 +1300,40 @@ self.onmessage = async function (event) {
 
   switch (type) {
     case 'INITIALIZE':
-      await ocrWorker.initialize();
+      try {
+        // プロトコルバージョンを指定しないクライアントは互換とみなす
+        if (
+          data.protocolVersion != null &&
+          !isCompatibleProtocol(data.protocolVersion)
+        ) {
+          throw new OCRError(
+            OCRErrorCode.PROTOCOL_MISMATCH,
+            `Incompatible client protocol: ${data.protocolVersion} (worker ${PROTOCOL_VERSION})`,
+            { stage: 'initialization' }
+          );
+        }
+
+        await ocrWorker.initialize({
+          models: data.models,
+          modelData: data.modelData,
+        });
+        self.postMessage({
+          type: 'WORKER_READY',
+          ...(await ocrWorker.getCapabilities()),
+        });
+      } catch (error) {
+        const ocrError = OCRError.from(
+          error,
+          OCRErrorCode.MODEL_INIT_FAILED,
+          'initialization'
+        );
+        self.postMessage({
+          type: 'OCR_ERROR',
+          ...ocrError.toMessage(),
+          // 初期化エラーは常に initialization ステージとして通知
+          stage: 'initialization',
+        });
+      }
       break;
 
     case 'OCR_PROCESS':
@@ -312,6 +1343,24 @@ self.onmessage = async function (event) {
       });
       break;
 
+    case 'DETECT_LAYOUT':
+      await ocrWorker.processLayout({
+        ...data,
+        startTime: Date.now(),
+      });
+      break;
+
+    case 'RECOGNIZE_REGIONS':
+      await ocrWorker.processRegions({
+        ...data,
+        startTime: Date.now(),
+      });
+      break;
+
+    case 'CANCEL':
+      ocrWorker.cancel(data.id);
+      break;
+
     case 'TERMINATE':
       self.close();
       break;
@@ -325,7 +1374,11 @@ self.onmessage = async function (event) {
 self.onerror = function (error) {
   self.postMessage({
     type: 'OCR_ERROR',
+    // 処理中のタスクがあれば、そのタスクのエラーとして通知
+    id: ocrWorker.currentTaskId,
     error: error.message,
+    code: OCRErrorCode.WORKER_ERROR,
+    retryable: true,
     filename: error.filename,
     lineno: error.lineno,
   });
@@ -0,0 +1,545 @@
+/**
+ * 向き・傾き補正モジュール
+ * ページの向き（90度単位）と細かな傾きを推定し、検出前に画像を正立させる
+ */
+
+import { toSourceCanvas } from './image-source.js';
+import { invalidOption } from '../utils/ocr-error.js';
+
+// 解析用に縮小する画像の長辺（ピクセル）
+const ANALYSIS_SIZE = 800;
+// 解析に使う墨の画素数の上限
+const MAX_INK_POINTS = 50000;
+// 傾き探索の刻み（度）
+const SKEW_STEP = 0.1;
+// 行頭の揃い方の差がこの割合未満の場合は上下（左右）反転と判定しない
+const ALIGNMENT_MARGIN = 0.2;
+
+export class OrientationCorrector {
+  constructor() {
+    this.defaultOptions = {
+      correctOrientation: false, // 90度単位の向きを推定して補正
+      orientation: null, // 向きを指定（0 / 90 / 180 / 270、指定時は推定しない）
+      deskew: false, // 細かな傾きを推定して補正
+      maxSkewAngle: 5, // 推定する傾きの最大値（度）
+      minSkewAngle: 0.2, // これ未満の傾きは補正しない（度）
+    };
+  }
+
+  /**
+   * 補正オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      correctOrientation:
+        options.correctOrientation ??
+        this.defaultOptions.correctOrientation,
+      orientation:
+        options.orientation ??
+        this.defaultOptions.orientation,
+      deskew: options.deskew ?? this.defaultOptions.deskew,
+      maxSkewAngle:
+        options.maxSkewAngle ??
+        this.defaultOptions.maxSkewAngle,
+      minSkewAngle:
+        options.minSkewAngle ??
+        this.defaultOptions.minSkewAngle,
+    };
+
+    // 値の検証
+    if (
+      resolved.orientation !== null &&
+      ![0, 90, 180, 270].includes(resolved.orientation)
+    ) {
+      throw invalidOption(
+        'orientation',
+        resolved.orientation,
+        'orientation'
+      );
+    }
+    if (
+      !(
+        resolved.maxSkewAngle > 0 &&
+        resolved.maxSkewAngle <= 45
+      )
+    ) {
+      throw invalidOption(
+        'maxSkewAngle',
+        resolved.maxSkewAngle,
+        'orientation'
+      );
+    }
+    if (!(resolved.minSkewAngle >= 0)) {
+      throw invalidOption(
+        'minSkewAngle',
+        resolved.minSkewAngle,
+        'orientation'
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * ページの向きと傾きを推定
+   * 角度はいずれも、正立したページに対して内容が時計回りに回転している角度（度）
+   *
+   * @param {OffscreenCanvas|ImageData} image ソース画像
+   * @param {Object} options 補正オプション
+   * @param {string} [readingDirection] 'vertical'（縦書き）または 'horizontal'（横書き）
+   * @returns {{orientation: number, skew: number, rotation: number}} 推定結果と補正に使う回転角
+   */
+  estimate(
+    image,
+    options = {},
+    readingDirection = 'vertical'
+  ) {
+    const {
+      correctOrientation,
+      orientation: fixedOrientation,
+      deskew,
+      maxSkewAngle,
+      minSkewAngle,
+    } = this.resolveOptions(options);
+
+    const needsAnalysis =
+      deskew ||
+      (correctOrientation && fixedOrientation === null);
+    if (!needsAnalysis) {
+      const orientation = fixedOrientation ?? 0;
+      return {
+        orientation,
+        skew: 0,
+        rotation: normalizeAngle(-orientation),
+      };
+    }
+
+    const points = this.collectInkPoints(
+      toSourceCanvas(image)
+    );
+
+    // 細かな傾き: 投影プロファイルが最も鋭くなる角度
+    let skew = 0;
+    if (deskew && points.length > 0) {
+      skew = this.estimateSkew(points, maxSkewAngle);
+      if (Math.abs(skew) < minSkewAngle) skew = 0;
+    }
+
+    // 90度単位の向き: 行の方向と行頭の揃い方から判定
+    let orientation = fixedOrientation ?? 0;
+    if (
+      correctOrientation &&
+      fixedOrientation === null &&
+      points.length > 0
+    ) {
+      orientation = this.estimateOrientation(
+        points,
+        skew,
+        readingDirection
+      );
+    }
+
+    return {
+      orientation,
+      skew: Math.round(skew * 100) / 100 || 0,
+      rotation: normalizeAngle(-(orientation + skew)),
+    };
+  }
+
+  /**
+   * 縮小・二値化した画像から墨の画素の座標を収集
+   */
+  collectInkPoints(source) {
+    const scale = Math.min(
+      1,
+      ANALYSIS_SIZE / Math.max(source.width, source.height)
+    );
+    const width = Math.max(
+      1,
+      Math.round(source.width * scale)
+    );
+    const height = Math.max(
+      1,
+      Math.round(source.height * scale)
+    );
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const gray = new Uint8Array(width * height);
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) {
+      const value = Math.round(
+        0.299 * data[i * 4] +
+          0.587 * data[i * 4 + 1] +
+          0.114 * data[i * 4 + 2]
+      );
+      gray[i] = value;
+      histogram[value]++;
+    }
+
+    const threshold = otsuThreshold(histogram, gray.length);
+    let inkCount = 0;
+    for (let i = 0; i < gray.length; i++) {
+      if (gray[i] < threshold) inkCount++;
+    }
+
+    // 画素数が多い場合は間引く
+    const stride = Math.max(
+      1,
+      Math.ceil(inkCount / MAX_INK_POINTS)
+    );
+    const count = Math.ceil(inkCount / stride);
+    const points = {
+      xs: new Float32Array(count),
+      ys: new Float32Array(count),
+      length: count,
+    };
+    let seen = 0;
+    let n = 0;
+    for (let i = 0; i < gray.length && n < count; i++) {
+      if (gray[i] >= threshold) continue;
+      if (seen++ % stride !== 0) continue;
+      points.xs[n] = i % width;
+      points.ys[n] = Math.floor(i / width);
+      n++;
+    }
+    return points;
+  }
+
+  /**
+   * 投影プロファイルの二乗和が最大となる傾きを探索
+   */
+  estimateSkew(points, maxSkewAngle) {
+    let best = { angle: 0, score: -Infinity };
+    for (
+      let angle = -maxSkewAngle;
+      angle <= maxSkewAngle + 1e-9;
+      angle += SKEW_STEP
+    ) {
+      const { score } = this.projectPoints(points, angle);
+      if (score > best.score) {
+        best = { angle, score };
+      }
+    }
+    return best.angle;
+  }
+
+  /**
+   * 点群を -angle 度回転させ、x・y 方向の投影プロファイルを計算
+   */
+  projectPoints(points, angle) {
+    const rad = (angle * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const xs = new Float32Array(points.length);
+    const ys = new Float32Array(points.length);
+    for (let i = 0; i < points.length; i++) {
+      const x = points.xs[i];
+      const y = points.ys[i];
+      xs[i] = x * cos + y * sin;
+      ys[i] = -x * sin + y * cos;
+    }
+
+    const profileX = histogramOf(xs);
+    const profileY = histogramOf(ys);
+    const sumOfSquares = (profile) =>
+      profile.bins.reduce((sum, v) => sum + v * v, 0);
+
+    return {
+      rotated: { xs, ys, length: points.length },
+      profileX,
+      profileY,
+      score:
+        sumOfSquares(profileX) + sumOfSquares(profileY),
+    };
+  }
+
+  /**
+   * 行の方向と行頭の揃い方から90度単位の向きを推定
+   * 縦書きでは列の上端、横書きでは行の左端が揃い、行末は不揃いになることを利用する
+   */
+  estimateOrientation(points, skew, readingDirection) {
+    const { rotated, profileX, profileY } =
+      this.projectPoints(points, skew);
+
+    // 列が縦に並ぶ場合は x 方向のプロファイルの起伏が大きい
+    const linesVertical =
+      contrastOf(profileX.bins) >=
+      contrastOf(profileY.bins);
+
+    // 行に直交する軸で行を分け、行ごとの両端の揃い方を比較
+    const across = linesVertical ? rotated.xs : rotated.ys;
+    const along = linesVertical ? rotated.ys : rotated.xs;
+    const profile = linesVertical ? profileX : profileY;
+    const bands = findBands(profile.bins);
+    if (bands.length < 3) {
+      return this.orientationFor(
+        readingDirection,
+        linesVertical,
+        true
+      );
+    }
+
+    const binToBand = new Int32Array(
+      profile.bins.length
+    ).fill(-1);
+    bands.forEach(([start, end], index) => {
+      for (let i = start; i < end; i++)
+        binToBand[i] = index;
+    });
+    const starts = new Array(bands.length).fill(Infinity);
+    const ends = new Array(bands.length).fill(-Infinity);
+    for (let i = 0; i < rotated.length; i++) {
+      const band =
+        binToBand[Math.floor(across[i]) - profile.min];
+      if (band < 0) continue;
+      starts[band] = Math.min(starts[band], along[i]);
+      ends[band] = Math.max(ends[band], along[i]);
+    }
+
+    const startSpread = spreadOf(starts);
+    const endSpread = spreadOf(ends);
+    // 揃い方に明確な差がない場合は反転していないとみなす
+    const lowerAligned =
+      endSpread < startSpread * (1 - ALIGNMENT_MARGIN);
+
+    return this.orientationFor(
+      readingDirection,
+      linesVertical,
+      !lowerAligned
+    );
+  }
+
+  /**
+   * 行の方向と揃っている端から向きを決定
+   * @param {boolean} startAligned 上端（行が横の場合は左端）が揃っているか
+   */
+  orientationFor(
+    readingDirection,
+    linesVertical,
+    startAligned
+  ) {
+    if (readingDirection === 'vertical') {
+      // 縦書き: 正立では列が縦で上端が揃う
+      if (linesVertical) return startAligned ? 0 : 180;
+      // 時計回りに90度回転すると上端は右に来る
+      return startAligned ? 270 : 90;
+    }
+    // 横書き: 正立では行が横で左端が揃う
+    if (!linesVertical) return startAligned ? 0 : 180;
+    // 時計回りに90度回転すると左端は上に来る
+    return startAligned ? 90 : 270;
+  }
+
+  /**
+   * 推定結果に基づいて画像を回転
+   * 補正が不要な場合は元の画像をそのまま返す
+   *
+   * @returns {{canvas: OffscreenCanvas, transform: Object|null}} 補正後の画像と座標変換
+   */
+  correct(image, estimate) {
+    const source = toSourceCanvas(image);
+    if (!estimate || estimate.rotation === 0) {
+      return { canvas: source, transform: null };
+    }
+
+    const rad = (estimate.rotation * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(rad));
+    const sin = Math.abs(Math.sin(rad));
+    const width = Math.round(
+      source.width * cos + source.height * sin
+    );
+    const height = Math.round(
+      source.width * sin + source.height * cos
+    );
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    // 回転で生じる余白は紙の色（白）で埋める
+    ctx.fillStyle = 'rgb(255, 255, 255)';
+    ctx.fillRect(0, 0, width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(rad);
+    ctx.drawImage(
+      source,
+      -source.width / 2,
+      -source.height / 2
+    );
+
+    return {
+      canvas,
+      transform: {
+        rotation: estimate.rotation,
+        originalWidth: source.width,
+        originalHeight: source.height,
+        width,
+        height,
+      },
+    };
+  }
+
+  /**
+   * 補正後の画像上の矩形を元画像の座標に戻す
+   * x, y, width, height は外接矩形とし、正確な四隅を polygon に含める
+   */
+  toOriginal(region, transform) {
+    if (!transform) return region;
+
+    const rad = (transform.rotation * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const corners = [
+      [region.x, region.y],
+      [region.x + region.width, region.y],
+      [region.x + region.width, region.y + region.height],
+      [region.x, region.y + region.height],
+    ];
+    const polygon = corners.map(([x, y]) => {
+      const dx = x - transform.width / 2;
+      const dy = y - transform.height / 2;
+      return [
+        Math.round(
+          dx * cos + dy * sin + transform.originalWidth / 2
+        ) || 0,
+        Math.round(
+          -dx * sin +
+            dy * cos +
+            transform.originalHeight / 2
+        ) || 0,
+      ];
+    });
+
+    const xs = polygon.map((p) => p[0]);
+    const ys = polygon.map((p) => p[1]);
+    const x1 = Math.max(0, Math.min(...xs));
+    const y1 = Math.max(0, Math.min(...ys));
+    const x2 = Math.min(
+      transform.originalWidth,
+      Math.max(...xs)
+    );
+    const y2 = Math.min(
+      transform.originalHeight,
+      Math.max(...ys)
+    );
+
+    return {
+      ...region,
+      x: x1,
+      y: y1,
+      width: x2 - x1,
+      height: y2 - y1,
+      polygon,
+    };
+  }
+}
+
+/**
+ * 角度を [0, 360) に正規化
+ */
+function normalizeAngle(angle) {
+  const normalized = ((angle % 360) + 360) % 360;
+  return (Math.round(normalized * 100) / 100) % 360;
+}
+
+/**
+ * 大津の方法による二値化の閾値
+ */
+function otsuThreshold(histogram, total) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { threshold: 128, variance: -1 };
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground =
+      (sum - sumBackground) / weightForeground;
+    const variance =
+      weightBackground *
+      weightForeground *
+      (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) {
+      best = { threshold: t + 1, variance };
+    }
+  }
+  return best.threshold;
+}
+
+/**
+ * 座標値の1ピクセル刻みのヒストグラム
+ */
+function histogramOf(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  min = Math.floor(min);
+  const bins = new Float32Array(
+    Math.max(1, Math.floor(max) - min + 1)
+  );
+  for (const v of values) bins[Math.floor(v) - min]++;
+  return { min, bins };
+}
+
+/**
+ * プロファイルの起伏（変動係数）
+ */
+function contrastOf(bins) {
+  const mean =
+    bins.reduce((sum, v) => sum + v, 0) / bins.length;
+  if (mean === 0) return 0;
+  const variance =
+    bins.reduce((sum, v) => sum + (v - mean) ** 2, 0) /
+    bins.length;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * プロファイルから行（列）に相当する区間を抽出
+ */
+function findBands(bins) {
+  const mean =
+    bins.reduce((sum, v) => sum + v, 0) / bins.length;
+  const threshold = mean * 0.3;
+  const bands = [];
+  let start = null;
+  for (let i = 0; i <= bins.length; i++) {
+    const inside = i < bins.length && bins[i] > threshold;
+    if (inside && start === null) {
+      start = i;
+    } else if (!inside && start !== null) {
+      bands.push([start, i]);
+      start = null;
+    }
+  }
+  return bands;
+}
+
+/**
+ * 値のばらつき（中央値からの平均絶対偏差）
+ */
+function spreadOf(values) {
+  const sorted = values
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+  const median = sorted[Math.floor(sorted.length / 2)];
+  return (
+    sorted.reduce(
+      (sum, v) => sum + Math.abs(v - median),
+      0
+    ) / sorted.length
+  );
+}
@@ -0,0 +1,98 @@
+/**
+ * 処理時間の計測モジュール
+ * ステージごとの所要時間を集計し、結果に含めるプロファイルを生成
+ */
+
+export class Profiler {
+  constructor() {
+    this.startTime = performance.now();
+    this.samples = new Map(); // ステージ名 → 計測値（ミリ秒）の配列
+  }
+
+  /**
+   * 関数の実行時間を計測してステージに記録
+   * 同期関数・非同期関数のどちらも受け付ける
+   */
+  async measure(stage, fn) {
+    const start = performance.now();
+    try {
+      return await fn();
+    } finally {
+      this.record(stage, performance.now() - start);
+    }
+  }
+
+  /**
+   * 同期関数の実行時間を計測してステージに記録
+   */
+  measureSync(stage, fn) {
+    const start = performance.now();
+    try {
+      return fn();
+    } finally {
+      this.record(stage, performance.now() - start);
+    }
+  }
+
+  /**
+   * 計測値の記録
+   */
+  record(stage, duration) {
+    if (!this.samples.has(stage)) {
+      this.samples.set(stage, []);
+    }
+    this.samples.get(stage).push(duration);
+  }
+
+  /**
+   * 計測値の集計（合計・回数・平均・パーセンタイル）
+   */
+  summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, v) => sum + v, 0);
+
+    // nearest-rank 法によるパーセンタイル
+    const percentile = (p) =>
+      sorted[
+        Math.min(
+          sorted.length - 1,
+          Math.max(
+            0,
+            Math.ceil((p / 100) * sorted.length) - 1
+          )
+        )
+      ];
+
+    return {
+      total: round(total),
+      count: sorted.length,
+      mean: round(total / sorted.length),
+      p50: round(percentile(50)),
+      p90: round(percentile(90)),
+      p99: round(percentile(99)),
+      max: round(sorted[sorted.length - 1]),
+    };
+  }
+
+  /**
+   * 結果に含めるプロファイルを生成
+   */
+  toJSON() {
+    const stages = {};
+    for (const [stage, values] of this.samples) {
+      stages[stage] = this.summarize(values);
+    }
+
+    return {
+      totalTime: round(performance.now() - this.startTime),
+      stages,
+    };
+  }
+}
+
+/**
+ * 小数点以下2桁に丸める
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -3,12 +3,54 @@
  * 古典籍特有の読み順に基づいてテキストブロックを並び替え
  */
 
+import { invalidOption } from "../utils/ocr-error.js";
+
 export class ReadingOrderProcessor {
   constructor() {
     this.readingDirection = "vertical"; // vertical (縦書き) or horizontal (横書き)
     this.columnDirection = "right-to-left"; // right-to-left or left-to-right
   }
 
+  /**
+   * 読み順オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      readingDirection: options.readingDirection ?? this.readingDirection,
+      columnDirection: options.columnDirection ?? this.columnDirection,
+      groupThreshold: options.groupThreshold ?? 20, // 同一行/列とみなす閾値（ピクセル）
+      minConfidence: options.minConfidence ?? 0.1, // 最低信頼度
+      requireText: options.requireText ?? true, // テキストのないブロックを除外
+    };
+
+    // 値の検証
+    if (!["vertical", "horizontal"].includes(resolved.readingDirection)) {
+      throw invalidOption(
+        "readingDirection",
+        resolved.readingDirection,
+        "reading_order"
+      );
+    }
+    if (
+      !["right-to-left", "left-to-right"].includes(resolved.columnDirection)
+    ) {
+      throw invalidOption(
+        "columnDirection",
+        resolved.columnDirection,
+        "reading_order"
+      );
+    }
+    if (!(resolved.groupThreshold >= 0)) {
+      throw invalidOption(
+        "groupThreshold",
+        resolved.groupThreshold,
+        "reading_order"
+      );
+    }
+
+    return resolved;
+  }
+
   /**
    * テキストブロックの読み順を処理
    */
@@ -18,40 +60,49 @@ export class ReadingOrderProcessor {
     }
 
     const {
-      readingDirection = this.readingDirection,
-      columnDirection = this.columnDirection,
-      groupThreshold = 20, // 同一行/列とみなす閾値（ピクセル）
-      minConfidence = 0.1, // 最低信頼度
-    } = options;
-
-    // 信頼度でフィルタリング
+      readingDirection,
+      columnDirection,
+      groupThreshold,
+      minConfidence,
+      requireText,
+    } = this.resolveOptions(options);
+
+    // 信頼度でフィルタリング（レイアウトのみの場合はテキストの有無を問わない）
     const validBlocks = textBlocks.filter(
       (block) =>
         block.confidence >= minConfidence &&
-        block.text &&
-        block.text.text &&
-        block.text.text.trim().length > 0
+        (!requireText ||
+          (block.text && block.text.text && block.text.text.trim().length > 0))
     );
 
     if (validBlocks.length === 0) {
       return [];
     }
 
-    // 読み順に応じて処理
-    let orderedBlocks;
-    if (readingDirection === "vertical") {
-      orderedBlocks = this.processVerticalReading(
-        validBlocks,
-        columnDirection,
-        groupThreshold
+    // 見開きを分割した場合はページごとに読み順を決め、ページ順に連結
+    const pageIndices = [
+      ...new Set(validBlocks.map((block) => block.pageIndex ?? 0)),
+    ].sort((a, b) => a - b);
+
+    const orderedBlocks = pageIndices.flatMap((pageIndex) => {
+      const pageBlocks = validBlocks.filter(
+        (block) => (block.pageIndex ?? 0) === pageIndex
       );
-    } else {
-      orderedBlocks = this.processHorizontalReading(
-        validBlocks,
+
+      // 読み順に応じて処理
+      if (readingDirection === "vertical") {
+        return this.processVerticalReading(
+          pageBlocks,
+          columnDirection,
+          groupThreshold
+        );
+      }
+      return this.processHorizontalReading(
+        pageBlocks,
         columnDirection,
         groupThreshold
       );
-    }
+    });
 
     // 読み順インデックスを付与
     return orderedBlocks.map((block, index) => ({
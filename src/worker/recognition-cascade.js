@@ -0,0 +1,218 @@
+/**
+ * 文字認識モデルのカスケードモジュール
+ * 入力サイズ・最大文字列長の異なる複数の認識モデルを、行の縦横比で使い分ける
+ * 最大文字列長で打ち切られた行は、より大きなモデルで認識し直す
+ */
+
+import { toSourceCanvas } from './image-source.js';
+import { Profiler } from './profiler.js';
+import { invalidOption } from '../utils/ocr-error.js';
+
+export class RecognitionCascade {
+  /**
+   * @param {Array<TextRecognizer>} recognizers 初期化済みのリコグナイザー（最大文字列長の小さい順）
+   * @param {Array<string|null>} ids モデルの識別子（recognizers と同じ順）
+   */
+  constructor(recognizers, ids = []) {
+    this.recognizers = recognizers;
+    this.ids = recognizers.map((_, i) => ids[i] ?? null);
+    this.defaultOptions = {
+      cascadeRouting: 'aspectRatio', // 最初に使うモデルの選び方（'aspectRatio': 行の縦横比 / 'smallest': 最小のモデル）
+      cascadeRetry: true, // 最大文字列長で打ち切られた行を次に大きいモデルで認識し直す
+    };
+  }
+
+  /**
+   * 最大のモデル（長い行の分割はこのモデルでのみ行う）
+   */
+  get largest() {
+    return this.recognizers[this.recognizers.length - 1];
+  }
+
+  /**
+   * 認識オプションをデフォルト値とマージ
+   * 各モデル共通のオプションは最大のモデルの値で解決する
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      ...this.largest.resolveOptions(options),
+      cascadeRouting:
+        options.cascadeRouting ??
+        this.defaultOptions.cascadeRouting,
+      cascadeRetry:
+        options.cascadeRetry ??
+        this.defaultOptions.cascadeRetry,
+    };
+
+    // 値の検証
+    if (
+      !['aspectRatio', 'smallest'].includes(
+        resolved.cascadeRouting
+      )
+    ) {
+      throw invalidOption(
+        'cascadeRouting',
+        resolved.cascadeRouting,
+        'text_recognition'
+      );
+    }
+    if (typeof resolved.cascadeRetry !== 'boolean') {
+      throw invalidOption(
+        'cascadeRetry',
+        resolved.cascadeRetry,
+        'text_recognition'
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * ビームサーチで用いる言語モデルを全モデルに設定
+   */
+  setLanguageModel(languageModel) {
+    for (const recognizer of this.recognizers) {
+      recognizer.setLanguageModel(languageModel);
+    }
+  }
+
+  /**
+   * 1回の呼び出しで認識する領域数
+   * 各モデルは自身のバッチサイズでさらに分けて推論する
+   */
+  getBatchSize(options = {}) {
+    return this.resolveOptions(options)
+      .recognitionBatchSize;
+  }
+
+  /**
+   * 行の縦横比（長辺 / 短辺）がモデル入力の縦横比に収まる最小のモデルを選ぶ
+   * どのモデルにも収まらない行は最大のモデルで認識する
+   */
+  selectModel(region) {
+    const long = Math.max(region.width, region.height);
+    const short = Math.min(region.width, region.height);
+    // 大きさのない領域は最小のモデルに回す
+    if (!(long / short > 0)) return 0;
+
+    const level = this.recognizers.findIndex(
+      (recognizer) => {
+        const [, , height, width] =
+          recognizer.config.inputShape;
+        return long / short <= width / height;
+      }
+    );
+    return level === -1
+      ? this.recognizers.length - 1
+      : level;
+  }
+
+  /**
+   * 複数の領域をまとめて認識
+   * モデルの小さい順に、そのモデルに割り当てた領域をまとめて推論する
+   */
+  async recognizeBatch(
+    imageData,
+    regions,
+    options = {},
+    profiler = new Profiler()
+  ) {
+    const { cascadeRouting, cascadeRetry } =
+      this.resolveOptions(options);
+    // ImageData が渡された場合のみ、ジョブ内で一度だけキャンバスに展開する
+    const source = toSourceCanvas(imageData);
+    const last = this.recognizers.length - 1;
+
+    const levels = regions.map((region) =>
+      cascadeRouting === 'aspectRatio'
+        ? this.selectModel(region)
+        : 0
+    );
+    const results = new Array(regions.length);
+    // 領域ごとの所要時間（認識し直した分を含む）
+    const times = new Array(regions.length).fill(0);
+
+    for (let level = 0; level <= last; level++) {
+      const indices = regions
+        .map((_, index) => index)
+        .filter((index) => levels[index] === level);
+      if (indices.length === 0) continue;
+
+      const recognized = await this.recognizers[
+        level
+      ].recognizeBatch(
+        source,
+        indices.map((index) => regions[index]),
+        // 分割すると打ち切りを判定できないため、最大のモデル以外では分割しない
+        level === last
+          ? options
+          : { ...options, splitLongLines: false },
+        profiler
+      );
+
+      recognized.forEach((result, k) => {
+        const index = indices[k];
+        times[index] += result.recognitionTime ?? 0;
+        if (
+          cascadeRetry &&
+          level < last &&
+          result.text?.truncated
+        ) {
+          levels[index] = level + 1;
+          return;
+        }
+        results[index] = {
+          ...result,
+          recognitionTime: times[index],
+          text: result.text && {
+            ...result.text,
+            model: this.ids[level],
+          },
+        };
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * テキスト領域から文字を認識
+   */
+  async recognize(
+    imageData,
+    region,
+    profiler = new Profiler()
+  ) {
+    const [result] = await this.recognizeBatch(
+      imageData,
+      [region],
+      {},
+      profiler
+    );
+    return result.text;
+  }
+
+  /**
+   * モデルの入出力情報を取得
+   * 最大のモデルの情報に、カスケードを構成する全モデルの情報を加える
+   */
+  getModelInfo() {
+    return {
+      id: this.ids[this.ids.length - 1],
+      ...this.largest.getModelInfo(),
+      cascade: this.recognizers.map((recognizer, i) => ({
+        id: this.ids[i],
+        ...recognizer.getModelInfo(),
+      })),
+    };
+  }
+
+  /**
+   * リソースの解放
+   */
+  dispose() {
+    for (const recognizer of this.recognizers) {
+      recognizer.dispose();
+    }
+  }
+}
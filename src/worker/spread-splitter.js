@@ -0,0 +1,333 @@
+/**
+ * 見開き分割モジュール
+ * 見開き画像のノド（綴じ目）を検出し、左右のページに分割
+ */
+
+import { toSourceCanvas } from './image-source.js';
+import { invalidOption } from '../utils/ocr-error.js';
+
+// 解析用に縮小する画像の幅（ピクセル）
+const ANALYSIS_WIDTH = 1024;
+// ノドとみなす空白の幅（通常の列間の空白の中央値に対する倍率）
+const GUTTER_GAP_RATIO = 2;
+
+export class SpreadSplitter {
+  constructor() {
+    this.defaultOptions = {
+      splitSpreads: 'auto', // 見開き分割（true / false / "auto": 見開きと判定した画像のみ）
+      minSpreadAspectRatio: 1.2, // "auto" で見開きとみなす最小の縦横比（幅 / 高さ）
+      gutterSearchRange: 0.2, // ノドを探す範囲（中央からの割合）
+      minGutterWidth: 0.01, // ノドとみなす空白の最小幅（画像幅に対する割合）
+    };
+  }
+
+  /**
+   * 分割オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      splitSpreads:
+        options.splitSpreads ??
+        this.defaultOptions.splitSpreads,
+      minSpreadAspectRatio:
+        options.minSpreadAspectRatio ??
+        this.defaultOptions.minSpreadAspectRatio,
+      gutterSearchRange:
+        options.gutterSearchRange ??
+        this.defaultOptions.gutterSearchRange,
+      minGutterWidth:
+        options.minGutterWidth ??
+        this.defaultOptions.minGutterWidth,
+    };
+
+    // 値の検証
+    if (
+      ![true, false, 'auto'].includes(resolved.splitSpreads)
+    ) {
+      throw invalidOption(
+        'splitSpreads',
+        resolved.splitSpreads,
+        'spread_detection'
+      );
+    }
+    if (!(resolved.minSpreadAspectRatio > 0)) {
+      throw invalidOption(
+        'minSpreadAspectRatio',
+        resolved.minSpreadAspectRatio,
+        'spread_detection'
+      );
+    }
+    if (
+      !(
+        resolved.gutterSearchRange > 0 &&
+        resolved.gutterSearchRange < 0.5
+      )
+    ) {
+      throw invalidOption(
+        'gutterSearchRange',
+        resolved.gutterSearchRange,
+        'spread_detection'
+      );
+    }
+    if (
+      !(
+        resolved.minGutterWidth >= 0 &&
+        resolved.minGutterWidth < 0.5
+      )
+    ) {
+      throw invalidOption(
+        'minGutterWidth',
+        resolved.minGutterWidth,
+        'spread_detection'
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 画像をページに分割
+   * 見開きでない場合は画像全体を1ページとして返す
+   *
+   * @param {OffscreenCanvas|ImageData} image ソース画像
+   * @param {Object} options 分割オプション
+   * @param {string} [columnDirection] 'right-to-left' の場合は右ページを先頭にする
+   * @returns {{pages: Array<Object>, gutter: number|null}} ページの切り出し範囲（読み順）とノドの位置
+   */
+  split(
+    image,
+    options = {},
+    columnDirection = 'right-to-left'
+  ) {
+    const source = toSourceCanvas(image);
+    const {
+      splitSpreads,
+      minSpreadAspectRatio,
+      gutterSearchRange,
+      minGutterWidth,
+    } = this.resolveOptions(options);
+    const fullPage = {
+      pageIndex: 0,
+      x: 0,
+      y: 0,
+      width: source.width,
+      height: source.height,
+    };
+
+    if (
+      !splitSpreads ||
+      (splitSpreads === 'auto' &&
+        source.width / source.height < minSpreadAspectRatio)
+    ) {
+      return { pages: [fullPage], gutter: null };
+    }
+
+    let gutter = this.findGutter(
+      source,
+      gutterSearchRange,
+      minGutterWidth
+    );
+    if (gutter === null) {
+      // 明確なノドがない場合、"auto" では分割せず、true では中央で分割
+      if (splitSpreads === 'auto') {
+        return { pages: [fullPage], gutter: null };
+      }
+      gutter = Math.round(source.width / 2);
+    }
+
+    const leftPage = {
+      x: 0,
+      y: 0,
+      width: gutter,
+      height: source.height,
+    };
+    const rightPage = {
+      x: gutter,
+      y: 0,
+      width: source.width - gutter,
+      height: source.height,
+    };
+    const ordered =
+      columnDirection === 'right-to-left'
+        ? [rightPage, leftPage]
+        : [leftPage, rightPage];
+
+    return {
+      pages: ordered.map((page, pageIndex) => ({
+        pageIndex,
+        ...page,
+      })),
+      gutter,
+    };
+  }
+
+  /**
+   * 墨の投影プロファイルからノドの位置を検出
+   * 中央付近で最も幅の広い列間の空白をノドとみなす
+   *
+   * @returns {number|null} ノドのx座標（元画像のピクセル）、見つからない場合は null
+   */
+  findGutter(source, searchRange, minGutterWidth) {
+    const profile = this.computeInkProfile(source);
+    const width = profile.length;
+    const scale = source.width / width;
+
+    // 文字のある列と空白を分ける閾値（ページ内の中央値を基準）
+    const body = Array.from(
+      profile.subarray(
+        Math.floor(width * 0.1),
+        Math.ceil(width * 0.9)
+      )
+    ).sort((a, b) => a - b);
+    const median = body[Math.floor(body.length / 2)];
+    if (!(median > 0)) return null;
+    const threshold = median * 0.25;
+
+    // 空白区間（列間の空白）の一覧
+    const gaps = [];
+    let runStart = null;
+    for (let x = 0; x <= width; x++) {
+      const blank = x < width && profile[x] < threshold;
+      if (blank && runStart === null) {
+        runStart = x;
+      } else if (!blank && runStart !== null) {
+        // 画像の端に接する余白は除外
+        if (runStart > 0 && x < width) {
+          gaps.push({
+            center: (runStart + x) / 2,
+            width: x - runStart,
+          });
+        }
+        runStart = null;
+      }
+    }
+    if (gaps.length === 0) return null;
+
+    // 中央付近に中心を持つ空白区間のうち最も幅の広いもの
+    const searchStart = width * (0.5 - searchRange);
+    const searchEnd = width * (0.5 + searchRange);
+    const best = gaps
+      .filter(
+        (gap) =>
+          gap.center >= searchStart &&
+          gap.center <= searchEnd
+      )
+      .reduce(
+        (a, b) => (!a || b.width > a.width ? b : a),
+        null
+      );
+
+    if (!best || best.width < width * minGutterWidth) {
+      return null;
+    }
+
+    // 通常の列間より十分に広い空白のみをノドとみなす
+    const otherGaps = gaps
+      .filter((gap) => gap !== best)
+      .map((gap) => gap.width)
+      .sort((a, b) => a - b);
+    if (
+      otherGaps.length > 0 &&
+      best.width <
+        otherGaps[Math.floor(otherGaps.length / 2)] *
+          GUTTER_GAP_RATIO
+    ) {
+      return null;
+    }
+    return Math.round(best.center * scale);
+  }
+
+  /**
+   * 列ごとの墨の量（縦方向の濃淡変化の平均）を計算
+   * ノドの影のようななだらかな濃淡は小さく、文字のある列は大きくなる
+   */
+  computeInkProfile(source) {
+    const scale = Math.min(
+      1,
+      ANALYSIS_WIDTH / source.width
+    );
+    const width = Math.max(
+      1,
+      Math.round(source.width * scale)
+    );
+    const height = Math.max(
+      2,
+      Math.round(source.height * scale)
+    );
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const profile = new Float32Array(width);
+    let previousRow = null;
+    const row = new Float32Array(width);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        row[x] =
+          0.299 * data[i] +
+          0.587 * data[i + 1] +
+          0.114 * data[i + 2];
+        if (previousRow) {
+          profile[x] += Math.abs(row[x] - previousRow[x]);
+        }
+      }
+      previousRow = previousRow || new Float32Array(width);
+      previousRow.set(row);
+    }
+
+    // ノイズを抑えるため、近傍の列で平滑化
+    const radius = Math.max(1, Math.round(width / 200));
+    const smoothed = new Float32Array(width);
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (
+        let k = Math.max(0, x - radius);
+        k <= Math.min(width - 1, x + radius);
+        k++
+      ) {
+        sum += profile[k];
+        count++;
+      }
+      smoothed[x] = sum / count / (height - 1);
+    }
+    return smoothed;
+  }
+
+  /**
+   * ページの切り出し範囲をキャンバスとして取得
+   */
+  cropPage(image, page) {
+    const source = toSourceCanvas(image);
+    if (
+      page.x === 0 &&
+      page.y === 0 &&
+      page.width === source.width &&
+      page.height === source.height
+    ) {
+      return source;
+    }
+
+    const canvas = new OffscreenCanvas(
+      page.width,
+      page.height
+    );
+    canvas
+      .getContext('2d')
+      .drawImage(
+        source,
+        page.x,
+        page.y,
+        page.width,
+        page.height,
+        0,
+        0,
+        page.width,
+        page.height
+      );
+    return canvas;
+  }
+}
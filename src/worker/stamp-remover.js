@@ -0,0 +1,332 @@
+/**
+ * 印影除去モジュール
+ * 朱色の蔵書印・押印を色で判定し、検出・認識の前に紙の色で塗りつぶす
+ */
+
+import { toSourceCanvas } from './image-source.js';
+import { invalidOption } from '../utils/ocr-error.js';
+
+// 印影とみなす最小の明度（これより暗い画素は墨とみなす）
+const MIN_VALUE = 0.3;
+// 印影の画素に隣接する画素は彩度の閾値をこの割合まで下げて判定する
+const EDGE_SATURATION_RATIO = 0.5;
+// 印影領域の集計に使う格子の長辺方向のセル数
+const GRID_SIZE = 512;
+// セル内の印影画素がこの割合以上の場合に印影のセルとする
+const CELL_COVERAGE = 0.02;
+// 報告する印影の最大の縦横比（細長い朱引きなどを除く）
+const MAX_STAMP_ASPECT = 4;
+
+export class StampRemover {
+  constructor() {
+    this.defaultOptions = {
+      removeStamps: false, // 朱色の印影を除去
+      stampHueTolerance: 25, // 赤（色相 0°）からの色相の許容幅（度）
+      stampMinSaturation: 0.35, // 印影とみなす最小の彩度
+      minStampSize: 32, // 報告する印影の最小サイズ（ピクセル）
+    };
+  }
+
+  /**
+   * 印影除去オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const resolved = {
+      removeStamps:
+        options.removeStamps ??
+        this.defaultOptions.removeStamps,
+      stampHueTolerance:
+        options.stampHueTolerance ??
+        this.defaultOptions.stampHueTolerance,
+      stampMinSaturation:
+        options.stampMinSaturation ??
+        this.defaultOptions.stampMinSaturation,
+      minStampSize:
+        options.minStampSize ??
+        this.defaultOptions.minStampSize,
+    };
+
+    // 値の検証
+    if (
+      !(
+        resolved.stampHueTolerance > 0 &&
+        resolved.stampHueTolerance <= 60
+      )
+    ) {
+      throw invalidOption(
+        'stampHueTolerance',
+        resolved.stampHueTolerance,
+        'stamp_removal'
+      );
+    }
+    if (
+      !(
+        resolved.stampMinSaturation > 0 &&
+        resolved.stampMinSaturation < 1
+      )
+    ) {
+      throw invalidOption(
+        'stampMinSaturation',
+        resolved.stampMinSaturation,
+        'stamp_removal'
+      );
+    }
+    if (!(resolved.minStampSize >= 0)) {
+      throw invalidOption(
+        'minStampSize',
+        resolved.minStampSize,
+        'stamp_removal'
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 印影を除去
+   * 除去しない場合は元の画像と空の印影リストを返す
+   *
+   * @param {OffscreenCanvas|ImageData} image ソース画像
+   * @param {Object} options 処理オプション
+   * @returns {{canvas: OffscreenCanvas, stamps: Array<Object>}} 除去後の画像と印影の領域
+   */
+  remove(image, options = {}) {
+    const source = toSourceCanvas(image);
+    const resolved = this.resolveOptions(options);
+    if (!resolved.removeStamps) {
+      return { canvas: source, stamps: [] };
+    }
+
+    const { width, height } = source;
+    const imageData = source
+      .getContext('2d')
+      .getImageData(0, 0, width, height);
+    const { data } = imageData;
+
+    const mask = this.computeMask(
+      data,
+      width,
+      height,
+      resolved
+    );
+    const stamps = this.findStamps(
+      mask,
+      width,
+      height,
+      resolved.minStampSize
+    );
+    if (!mask.includes(1)) {
+      return { canvas: source, stamps };
+    }
+
+    // 印影の画素を紙の色で塗りつぶす
+    const [r, g, b] = paperColor(data, mask);
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue;
+      data[i * 4] = r;
+      data[i * 4 + 1] = g;
+      data[i * 4 + 2] = b;
+    }
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+    return { canvas, stamps };
+  }
+
+  /**
+   * 朱色の画素のマスクを計算
+   * 印影の輪郭の淡い画素も拾うため、印影に隣接する画素は彩度の閾値を下げる
+   */
+  computeMask(data, width, height, options) {
+    const { stampHueTolerance, stampMinSaturation } =
+      options;
+    const saturation = new Float32Array(width * height);
+    const mask = new Uint8Array(width * height);
+
+    for (let i = 0; i < mask.length; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      const min = Math.min(g, b);
+      // 赤が最大の成分で、十分に明るい画素のみ
+      if (r <= Math.max(g, b) || r < MIN_VALUE * 255) {
+        continue;
+      }
+      const hue = (60 * (g - b)) / (r - min);
+      if (Math.abs(hue) > stampHueTolerance) continue;
+      saturation[i] = (r - min) / r;
+      if (saturation[i] >= stampMinSaturation) mask[i] = 1;
+    }
+
+    const edgeSaturation =
+      stampMinSaturation * EDGE_SATURATION_RATIO;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (mask[i] || saturation[i] < edgeSaturation) {
+          continue;
+        }
+        if (
+          (x > 0 && mask[i - 1] === 1) ||
+          (x < width - 1 && mask[i + 1] === 1) ||
+          (y > 0 && mask[i - width] === 1) ||
+          (y < height - 1 && mask[i + width] === 1)
+        ) {
+          mask[i] = 2;
+        }
+      }
+    }
+
+    return mask;
+  }
+
+  /**
+   * マスクから印影の領域を求める
+   * 粗い格子上で印影のセルを連結し、途切れた線の印影も一つの領域にまとめる
+   */
+  findStamps(mask, width, height, minStampSize) {
+    const cell = Math.max(
+      1,
+      Math.ceil(Math.max(width, height) / GRID_SIZE)
+    );
+    const cols = Math.ceil(width / cell);
+    const rows = Math.ceil(height / cell);
+    const cells = cols * rows;
+    const counts = new Uint32Array(cells);
+    // セル内の印影画素の外接矩形
+    const minX = new Int32Array(cells).fill(width);
+    const minY = new Int32Array(cells).fill(height);
+    const maxX = new Int32Array(cells).fill(-1);
+    const maxY = new Int32Array(cells).fill(-1);
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / cell) * cols;
+      for (let x = 0; x < width; x++) {
+        if (!mask[y * width + x]) continue;
+        const c = row + Math.floor(x / cell);
+        counts[c]++;
+        if (x < minX[c]) minX[c] = x;
+        if (x > maxX[c]) maxX[c] = x;
+        if (y < minY[c]) minY[c] = y;
+        if (y > maxY[c]) maxY[c] = y;
+      }
+    }
+
+    const threshold = Math.max(
+      1,
+      cell * cell * CELL_COVERAGE
+    );
+    const isStampCell = (c) => counts[c] >= threshold;
+
+    // 1セルの隙間を越えて連結成分を求める
+    const labels = new Int32Array(cells).fill(-1);
+    const stamps = [];
+    for (let start = 0; start < cells; start++) {
+      if (!isStampCell(start) || labels[start] !== -1) {
+        continue;
+      }
+      const region = {
+        x1: width,
+        y1: height,
+        x2: -1,
+        y2: -1,
+        pixels: 0,
+      };
+      const stack = [start];
+      labels[start] = stamps.length;
+      while (stack.length > 0) {
+        const c = stack.pop();
+        region.x1 = Math.min(region.x1, minX[c]);
+        region.y1 = Math.min(region.y1, minY[c]);
+        region.x2 = Math.max(region.x2, maxX[c]);
+        region.y2 = Math.max(region.y2, maxY[c]);
+        region.pixels += counts[c];
+
+        const cx = c % cols;
+        const cy = Math.floor(c / cols);
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (
+              nx < 0 ||
+              ny < 0 ||
+              nx >= cols ||
+              ny >= rows
+            ) {
+              continue;
+            }
+            const n = ny * cols + nx;
+            if (isStampCell(n) && labels[n] === -1) {
+              labels[n] = stamps.length;
+              stack.push(n);
+            }
+          }
+        }
+      }
+      stamps.push(region);
+    }
+
+    return stamps
+      .map(({ x1, y1, x2, y2, pixels }) => {
+        const stampWidth = x2 - x1 + 1;
+        const stampHeight = y2 - y1 + 1;
+        return {
+          x: x1,
+          y: y1,
+          width: stampWidth,
+          height: stampHeight,
+          // 領域内の印影画素の割合
+          coverage:
+            Math.round(
+              (pixels / (stampWidth * stampHeight)) * 1000
+            ) / 1000,
+        };
+      })
+      .filter(
+        (stamp) =>
+          Math.min(stamp.width, stamp.height) >=
+            minStampSize &&
+          Math.max(stamp.width, stamp.height) /
+            Math.min(stamp.width, stamp.height) <=
+            MAX_STAMP_ASPECT
+      );
+  }
+}
+
+/**
+ * 紙の色を推定
+ * 印影以外の画素のうち、明るい半分の平均色を用いる
+ */
+function paperColor(data, mask) {
+  const histogram = new Uint32Array(256);
+  const luminance = new Uint8Array(mask.length);
+  let total = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) continue;
+    luminance[i] =
+      0.299 * data[i * 4] +
+      0.587 * data[i * 4 + 1] +
+      0.114 * data[i * 4 + 2];
+    histogram[luminance[i]]++;
+    total++;
+  }
+  if (total === 0) return [255, 255, 255];
+
+  let median = 0;
+  for (let sum = 0; median < 255; median++) {
+    sum += histogram[median];
+    if (sum >= total / 2) break;
+  }
+
+  const color = [0, 0, 0];
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] || luminance[i] < median) continue;
+    color[0] += data[i * 4];
+    color[1] += data[i * 4 + 1];
+    color[2] += data[i * 4 + 2];
+    count++;
+  }
+  return color.map((value) => Math.round(value / count));
+}
@@ -7,6 +7,16 @@
 
 import { ort, createSession } from './onnx-config.js';
 import * as yaml from 'js-yaml';
+import { toSourceCanvas } from './image-source.js';
+import { Profiler } from './profiler.js';
+import {
+  OCRError,
+  OCRErrorCode,
+  invalidOption,
+} from '../utils/ocr-error.js';
+
+// 区間の結合で境とみなす一致の最小文字数（1文字の一致は偶然の可能性が高い）
+const MIN_OVERLAP_MATCH = 2;
 
 /**
  * PARSEQ クラス
@@ -23,6 +33,260 @@ export class TextRecognizer {
       maxLength: 25, // 最大文字列長
     };
     this.configPath = '/config/NDLmoji.yaml';
+    this.defaultOptions = {
+      recognitionBatchSize: 8, // 1回の推論でまとめて認識する領域数
+      confidenceAggregation: 'product', // 文字ごとの確率から系列の確信度を求める方法（'product' / 'mean'）
+      candidateCount: 0, // 文字ごとに返す候補の数（0: 返さない）
+      collapseRepeats: false, // 連続する同じ文字を1文字にまとめる（参考実装との互換用）
+      splitLongLines: true, // 長い行を区間に分割して認識
+      maxLineAspectRatio: null, // これを超える縦横比（長辺 / 短辺）の行を分割（null: 最大文字列長の 0.8 倍）
+      segmentAspectRatio: null, // 分割した区間の縦横比（null: モデル入力の縦横比）
+      segmentOverlap: 2, // 隣接する区間の重なり（行の幅に対する倍率）
+      allowedCharacters: null, // 出力を許す文字（null: 文字リストのすべて）
+      disallowedCharacters: null, // 出力しない文字
+      lexicon: null, // 既知の語（人名・地名・用語など）の配列
+      lexiconBoost: 2, // 辞書の語の続きとなる文字のロジットに加える値
+      decoding: 'greedy', // デコード方法（'greedy': 貪欲法 / 'beam': ビームサーチ）
+      beamWidth: 5, // ビームサーチで残す系列の数
+      lmWeight: 0.5, // ビームサーチで言語モデルの対数確率に掛ける重み
+      lengthBonus: null, // ビームサーチで出力する文字ごとにスコアに加える値（null: lmWeight × 言語モデルの1文字あたりのエントロピー）
+    };
+    // ビームサーチの再スコアリングに用いる言語モデル（設定されている場合）
+    this.languageModel = null;
+    // デコードの制約（同じ指定が続く間は再利用）
+    this.constraints = null;
+    // モデルのバッチ次元（true: 可変、false: 固定、null: 未判定）
+    this.dynamicBatch = null;
+    // バッチ次元が固定の場合のサイズ
+    this.fixedBatchSize = null;
+    // 領域ごとに再利用する作業キャンバスと入力バッファ
+    this.lineCanvas = null;
+    this.lineContext = null;
+    this.inputBuffer = null;
+  }
+
+  /**
+   * 認識オプションをデフォルト値とマージ
+   */
+  resolveOptions(options = {}) {
+    const [, , height, width] = this.config.inputShape;
+    const resolved = {
+      recognitionBatchSize:
+        options.recognitionBatchSize ??
+        this.defaultOptions.recognitionBatchSize,
+      confidenceAggregation:
+        options.confidenceAggregation ??
+        this.defaultOptions.confidenceAggregation,
+      candidateCount:
+        options.candidateCount ??
+        this.defaultOptions.candidateCount,
+      collapseRepeats:
+        options.collapseRepeats ??
+        this.defaultOptions.collapseRepeats,
+      splitLongLines:
+        options.splitLongLines ??
+        this.defaultOptions.splitLongLines,
+      maxLineAspectRatio:
+        options.maxLineAspectRatio ??
+        this.defaultOptions.maxLineAspectRatio ??
+        this.config.maxLength * 0.8,
+      segmentAspectRatio:
+        options.segmentAspectRatio ??
+        this.defaultOptions.segmentAspectRatio ??
+        width / height,
+      segmentOverlap:
+        options.segmentOverlap ??
+        this.defaultOptions.segmentOverlap,
+      allowedCharacters:
+        options.allowedCharacters ??
+        this.defaultOptions.allowedCharacters,
+      disallowedCharacters:
+        options.disallowedCharacters ??
+        this.defaultOptions.disallowedCharacters,
+      lexicon:
+        options.lexicon ?? this.defaultOptions.lexicon,
+      lexiconBoost:
+        options.lexiconBoost ??
+        this.defaultOptions.lexiconBoost,
+      decoding:
+        options.decoding ?? this.defaultOptions.decoding,
+      beamWidth:
+        options.beamWidth ?? this.defaultOptions.beamWidth,
+      lmWeight:
+        options.lmWeight ?? this.defaultOptions.lmWeight,
+      lengthBonus:
+        options.lengthBonus ??
+        this.defaultOptions.lengthBonus,
+    };
+
+    // 値の検証
+    if (
+      !(
+        Number.isInteger(resolved.recognitionBatchSize) &&
+        resolved.recognitionBatchSize > 0
+      )
+    ) {
+      throw invalidOption(
+        'recognitionBatchSize',
+        resolved.recognitionBatchSize,
+        'text_recognition'
+      );
+    }
+    if (
+      !['product', 'mean'].includes(
+        resolved.confidenceAggregation
+      )
+    ) {
+      throw invalidOption(
+        'confidenceAggregation',
+        resolved.confidenceAggregation,
+        'text_recognition'
+      );
+    }
+    if (
+      !(
+        Number.isInteger(resolved.candidateCount) &&
+        resolved.candidateCount >= 0
+      )
+    ) {
+      throw invalidOption(
+        'candidateCount',
+        resolved.candidateCount,
+        'text_recognition'
+      );
+    }
+    if (!(resolved.segmentOverlap >= 0)) {
+      throw invalidOption(
+        'segmentOverlap',
+        resolved.segmentOverlap,
+        'text_recognition'
+      );
+    }
+    if (
+      !(
+        resolved.segmentAspectRatio > 1 &&
+        resolved.segmentAspectRatio >
+          resolved.segmentOverlap
+      )
+    ) {
+      throw invalidOption(
+        'segmentAspectRatio',
+        resolved.segmentAspectRatio,
+        'text_recognition'
+      );
+    }
+    if (
+      !(
+        resolved.maxLineAspectRatio >=
+        resolved.segmentAspectRatio
+      )
+    ) {
+      throw invalidOption(
+        'maxLineAspectRatio',
+        resolved.maxLineAspectRatio,
+        'text_recognition'
+      );
+    }
+    for (const name of [
+      'allowedCharacters',
+      'disallowedCharacters',
+    ]) {
+      if (
+        resolved[name] !== null &&
+        !(
+          typeof resolved[name] === 'string' &&
+          resolved[name]
+        )
+      ) {
+        throw invalidOption(
+          name,
+          resolved[name],
+          'text_recognition'
+        );
+      }
+    }
+    if (
+      resolved.lexicon !== null &&
+      !(
+        Array.isArray(resolved.lexicon) &&
+        resolved.lexicon.every(
+          (word) => typeof word === 'string'
+        )
+      )
+    ) {
+      throw invalidOption(
+        'lexicon',
+        resolved.lexicon,
+        'text_recognition'
+      );
+    }
+    if (
+      !(
+        Number.isFinite(resolved.lexiconBoost) &&
+        resolved.lexiconBoost >= 0
+      )
+    ) {
+      throw invalidOption(
+        'lexiconBoost',
+        resolved.lexiconBoost,
+        'text_recognition'
+      );
+    }
+    if (!['greedy', 'beam'].includes(resolved.decoding)) {
+      throw invalidOption(
+        'decoding',
+        resolved.decoding,
+        'text_recognition'
+      );
+    }
+    if (
+      !(
+        Number.isInteger(resolved.beamWidth) &&
+        resolved.beamWidth > 0
+      )
+    ) {
+      throw invalidOption(
+        'beamWidth',
+        resolved.beamWidth,
+        'text_recognition'
+      );
+    }
+    if (
+      !(
+        Number.isFinite(resolved.lmWeight) &&
+        resolved.lmWeight >= 0
+      )
+    ) {
+      throw invalidOption(
+        'lmWeight',
+        resolved.lmWeight,
+        'text_recognition'
+      );
+    }
+    if (
+      resolved.lengthBonus !== null &&
+      !Number.isFinite(resolved.lengthBonus)
+    ) {
+      throw invalidOption(
+        'lengthBonus',
+        resolved.lengthBonus,
+        'text_recognition'
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 1回の推論で認識する領域数
+   * バッチ次元が固定のモデルではそのサイズになる
+   */
+  getBatchSize(options = {}) {
+    const { recognitionBatchSize } =
+      this.resolveOptions(options);
+    return this.dynamicBatch === false
+      ? this.fixedBatchSize
+      : recognitionBatchSize;
   }
 
   /**
@@ -97,9 +361,16 @@ export class TextRecognizer {
    *
    * @param {ArrayBuffer} modelData モデルデータ
    * @param {string} configPath 設定ファイルのパス（オプション）
+   * @param {Object} [modelConfig] モデルごとの設定（設定ファイルの値より優先）
+   * @param {number[]} [modelConfig.inputShape] 入力サイズ
+   * @param {number} [modelConfig.maxLength] 最大文字列長
    * @returns {Promise<void>}
    */
-  async initialize(modelData, configPath = null) {
+  async initialize(
+    modelData,
+    configPath = null,
+    modelConfig = {}
+  ) {
     if (this.initialized) return;
 
     try {
@@ -107,6 +378,12 @@ export class TextRecognizer {
       if (configPath || this.configPath) {
         await this.loadConfig(configPath);
       }
+      if (modelConfig.inputShape) {
+        this.config.inputShape = modelConfig.inputShape;
+      }
+      if (modelConfig.maxLength) {
+        this.config.maxLength = modelConfig.maxLength;
+      }
 
       this.session = await createSession(modelData);
       console.log('モデルのロードが完了しました');
@@ -125,6 +402,7 @@ export class TextRecognizer {
             `現在の入力形状: ${this.config.inputShape}`
           );
         }
+        this.detectBatchDimension();
       } catch (shapeError) {
         console.warn(
           '入力形状の検出に失敗しました。デフォルト形状を使用します:',
@@ -139,182 +417,189 @@ export class TextRecognizer {
         'PARSEQ モデルの初期化に失敗しました:',
         error
       );
-      throw new Error(
-        `PARSEQ モデルの初期化に失敗しました: ${error.message}`
+      throw new OCRError(
+        OCRErrorCode.MODEL_INIT_FAILED,
+        `PARSEQ モデルの初期化に失敗しました: ${error.message}`,
+        { stage: 'initialization', cause: error }
       );
     }
   }
 
   /**
-   * テキスト領域から文字を認識
+   * ビームサーチの再スコアリングに用いる言語モデルを設定
+   * score(context, char) で文脈（直前までの文字の配列）に続く文字の自然対数確率を返すオブジェクトを受け付ける
+   * 系列の終わりは char に '</s>' を渡して評価する
+   * entropy（1文字あたりの対数確率の期待値の符号を反転した値）があれば lengthBonus の既定値に用いる
+   *
+   * @param {{score: function(string[], string): number, entropy?: number}|null} languageModel 言語モデル
    */
-  async recognize(imageData, region) {
-    if (!this.initialized) {
-      throw new Error('Text recognizer not initialized');
-    }
-
-    try {
-      // 1. 領域を切り出し
-      const croppedImageData = this.cropRegion(
-        imageData,
-        region
-      );
-
-      // 2. 前処理
-      const inputTensor = await this.preprocessImage(
-        croppedImageData
-      );
-
-      // 3. 推論実行
-      const output = await this.runInference(inputTensor);
-      console.log('推論結果:', output);
+  setLanguageModel(languageModel) {
+    this.languageModel = languageModel;
+  }
 
-      // 4. 後処理（テキストデコード）
-      const result = this.decodeOutput(output);
-      console.log('認識結果:', result);
+  /**
+   * モデルのメタデータからバッチ次元が可変かを判定
+   * メタデータがない場合は最初の複数領域の推論で判定する
+   */
+  detectBatchDimension() {
+    const metadata = this.session.inputMetadata?.[0];
+    const dimension = metadata?.isTensor
+      ? metadata.shape[0]
+      : undefined;
 
-      return result;
-    } catch (error) {
-      console.error('Text recognition failed:', error);
-      return {
-        text: '',
-        confidence: 0.0,
-        error: error.message,
-      };
+    if (typeof dimension === 'string' || dimension === -1) {
+      this.dynamicBatch = true;
+    } else if (
+      Number.isInteger(dimension) &&
+      dimension > 0
+    ) {
+      this.dynamicBatch = false;
+      this.fixedBatchSize = dimension;
     }
+    console.log(
+      `バッチ次元: ${
+        this.dynamicBatch === null
+          ? '不明'
+          : this.dynamicBatch
+          ? '可変'
+          : this.fixedBatchSize
+      }`
+    );
   }
 
   /**
-   * 画像から指定領域を切り出し
+   * テキスト領域から文字を認識
+   * 各ステップの所要時間は profiler に記録する
    */
-  cropRegion(imageData, region) {
-    const canvas = new OffscreenCanvas(
-      region.width,
-      region.height
-    );
-    const ctx = canvas.getContext('2d');
-
-    // 元の画像をキャンバスに描画
-    const sourceCanvas = new OffscreenCanvas(
-      imageData.width,
-      imageData.height
-    );
-    const sourceCtx = sourceCanvas.getContext('2d');
-    sourceCtx.putImageData(imageData, 0, 0);
-
-    // 指定領域を切り出し
-    ctx.drawImage(
-      sourceCanvas,
-      region.x,
-      region.y,
-      region.width,
-      region.height,
-      0,
-      0,
-      region.width,
-      region.height
+  async recognize(
+    imageData,
+    region,
+    profiler = new Profiler()
+  ) {
+    const [result] = await this.recognizeBatch(
+      imageData,
+      [region],
+      { recognitionBatchSize: 1 },
+      profiler
     );
+    return result.text;
+  }
 
-    return ctx.getImageData(
-      0,
-      0,
-      region.width,
-      region.height
-    );
+  /**
+   * 行画像用の作業キャンバスを取得（モデル入力サイズで再利用）
+   */
+  getLineContext() {
+    const [, , height, width] = this.config.inputShape;
+    if (
+      !this.lineCanvas ||
+      this.lineCanvas.width !== width ||
+      this.lineCanvas.height !== height
+    ) {
+      this.lineCanvas = new OffscreenCanvas(width, height);
+      this.lineContext = this.lineCanvas.getContext('2d', {
+        willReadFrequently: true,
+      });
+    }
+    return this.lineContext;
   }
 
   /**
-   * 画像の前処理（参考版に基づく改良版）
+   * ソース画像から領域を切り出し、回転・リサイズしてモデル入力サイズの画像を得る
+   * 領域ごとの中間キャンバスを作らず、作業キャンバスへの1回の描画で行う
    *
-   * @param {ImageData} imageData 入力画像
-   * @returns {Float32Array} 前処理された画像データ
-   * @private
+   * @param {OffscreenCanvas} source ジョブのソースキャンバス
+   * @param {Object} region 切り出す領域
+   * @returns {ImageData} モデル入力サイズの画像
    */
-  preprocess(imageData) {
-    const [batchSize, channels, height, width] =
-      this.config.inputShape;
-
-    // 画像サイズ取得
-    const imgWidth = imageData.width;
-    const imgHeight = imageData.height;
-
-    // キャンバス準備（回転含むので一旦大きめ）
-    const canvas = new OffscreenCanvas(1, 1);
-    const ctx = canvas.getContext('2d');
-    let rotated = false;
+  drawLine(source, region) {
+    const ctx = this.getLineContext();
+    const { width, height } = ctx.canvas;
+    const { x, y, width: w, height: h } = region;
 
-    if (imgHeight > imgWidth) {
-      // 縦長画像は90度回転（時計回り）
-      canvas.width = imgHeight;
-      canvas.height = imgWidth;
-      ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (h > w) {
+      // 縦長画像は90度回転（反時計回り）してから固定リサイズ
+      ctx.scale(width / h, height / w);
+      ctx.translate(h / 2, w / 2);
       ctx.rotate(-Math.PI / 2);
-      ctx.translate(-canvas.height / 2, -canvas.width / 2);
-      rotated = true;
+      ctx.translate(-w / 2, -h / 2);
     } else {
-      canvas.width = imgWidth;
-      canvas.height = imgHeight;
+      // 固定リサイズ（アスペクト比無視）→ Pythonと一致
+      ctx.scale(width / w, height / h);
     }
+    ctx.drawImage(source, x, y, w, h, 0, 0, w, h);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
 
-    // 描画
-    const tempCanvas = new OffscreenCanvas(
-      imageData.width,
-      imageData.height
-    );
-    const tempCtx = tempCanvas.getContext('2d');
-    tempCtx.putImageData(imageData, 0, 0);
-    ctx.drawImage(tempCanvas, 0, 0);
-
-    // 固定リサイズ（アスペクト比無視）→ Pythonと一致
-    const resizeCanvas = new OffscreenCanvas(width, height);
-    const resizeCtx = resizeCanvas.getContext('2d');
-    resizeCtx.drawImage(canvas, 0, 0, width, height);
-
-    const resizedImageData = resizeCtx.getImageData(
-      0,
-      0,
-      width,
-      height
-    );
-    const data = resizedImageData.data;
+    return ctx.getImageData(0, 0, width, height);
+  }
 
-    // Float32Arrayに変換（正規化: [-1, 1]）
-    const inputTensor = new Float32Array(
-      batchSize * channels * height * width
-    );
+  /**
+   * 画素値を正規化（[-1, 1]）してCHW形式でバッファに書き込む
+   *
+   * @param {ImageData} imageData モデル入力サイズの画像
+   * @param {Float32Array} target 書き込み先のバッファ
+   * @param {number} offset 書き込み開始位置
+   */
+  writeTensor(imageData, target, offset = 0) {
+    const [, channels, height, width] =
+      this.config.inputShape;
+    const data = imageData.data;
+    const plane = height * width;
 
-    for (let h = 0; h < height; h++) {
-      for (let w = 0; w < width; w++) {
-        const pixelOffset = (h * width + w) * 4;
-        for (let c = 0; c < channels; c++) {
-          const value = data[pixelOffset + c] / 255.0;
-          const tensorIdx =
-            c * height * width + h * width + w;
-          inputTensor[tensorIdx] = 2.0 * (value - 0.5);
-        }
+    for (let i = 0; i < plane; i++) {
+      for (let c = 0; c < channels; c++) {
+        target[offset + c * plane + i] =
+          data[i * 4 + c] / 127.5 - 1.0;
       }
     }
+    return target;
+  }
 
-    return inputTensor;
+  /**
+   * 入力テンソル用のバッファを取得（領域数に応じて拡張し、ジョブ間で再利用）
+   */
+  getInputBuffer(count) {
+    const [, channels, height, width] =
+      this.config.inputShape;
+    const length = count * channels * height * width;
+    if (
+      !this.inputBuffer ||
+      this.inputBuffer.length < length
+    ) {
+      // 拡張時は書き込み済みの内容を引き継ぐ
+      const buffer = new Float32Array(length);
+      if (this.inputBuffer) buffer.set(this.inputBuffer);
+      this.inputBuffer = buffer;
+    }
+    return this.inputBuffer;
   }
 
   /**
-   * 画像の前処理（Wrapper）
+   * 画像の前処理（参考版に基づく改良版）
+   *
+   * @param {ImageData} imageData 入力画像
+   * @returns {Float32Array} 前処理された画像データ
+   * @private
    */
-  async preprocessImage(imageData) {
-    return new Promise((resolve, reject) => {
-      try {
-        const tensor = this.preprocess(imageData);
-        const inputTensor = new ort.Tensor(
-          'float32',
-          tensor,
-          this.config.inputShape
-        );
-        resolve(inputTensor);
-      } catch (error) {
-        reject(error);
+  preprocess(imageData) {
+    const [batchSize, channels, height, width] =
+      this.config.inputShape;
+    const resized = this.drawLine(
+      toSourceCanvas(imageData),
+      {
+        x: 0,
+        y: 0,
+        width: imageData.width,
+        height: imageData.height,
       }
-    });
+    );
+    return this.writeTensor(
+      resized,
+      new Float32Array(
+        batchSize * channels * height * width
+      )
+    );
   }
 
   /**
@@ -328,69 +613,390 @@ export class TextRecognizer {
     return await this.session.run(feeds);
   }
 
+  /**
+   * バッチ内の1件分のロジットを取り出す
+   *
+   * @param {Object} outputs モデルの出力結果
+   * @param {number} index バッチ内の位置
+   * @returns {{logits: Float32Array, seqLength: number, vocabSize: number}}
+   */
+  getLogits(outputs, index = 0) {
+    const output = outputs[this.session.outputNames[0]];
+    const [batchSize, seqLength, vocabSize] = output.dims;
+    const offset = index * seqLength * vocabSize;
+    const logits = Float32Array.from(
+      output.data.slice(
+        offset,
+        offset + seqLength * vocabSize
+      ),
+      (value) =>
+        typeof value === 'bigint' ? Number(value) : value
+    );
+    return { logits, seqLength, vocabSize };
+  }
+
   /**
    * 認識結果の後処理（参考版完全準拠）
+   * 各ステップの語彙全体のソフトマックスから文字ごとの確率を求める
+   * デコードの制約を指定した場合は、ソフトマックスの前にロジットへ適用する
    *
    * @param {Object} outputs モデルの出力結果
-   * @returns {string} 認識されたテキスト
+   * @param {number} index バッチ内の位置
+   * @param {Object} options 認識オプション（resolveOptions の結果）
+   * @returns {{text: string, characters: Array<{char: string, probability: number, candidates?: Array}>, confidence: number, truncated: boolean}} 認識結果
    * @private
    */
-  postprocess(outputs) {
+  postprocess(
+    outputs,
+    index = 0,
+    options = this.resolveOptions()
+  ) {
     console.log('後処理開始', outputs);
-    const outputNames = this.session.outputNames;
-    const rawLogits = outputs[outputNames[0]].data;
-    const logits = Array.from(rawLogits).map((value) =>
-      typeof value === 'bigint' ? Number(value) : value
+    const { logits, seqLength, vocabSize } = this.getLogits(
+      outputs,
+      index
+    );
+    const { steps, stepProbabilities, truncated } =
+      options.decoding === 'beam'
+        ? this.beamSearch(
+            logits,
+            seqLength,
+            vocabSize,
+            options
+          )
+        : this.greedySearch(
+            logits,
+            seqLength,
+            vocabSize,
+            options
+          );
+    console.log(
+      '認識結果のクラスID:',
+      steps.map((step) => step.classId)
     );
 
-    const [batchSize, seqLength, vocabSize] =
-      outputs[outputNames[0]].dims;
-    const resultClassIds = [];
+    // PARSeq は自己回帰モデルのため、連続する同じ文字（「ここ」など）もそのまま残す
+    // collapseRepeats では参考版と同じく連続を除外する
+    const characters = [];
+    let prevClassId = -1;
+    for (const {
+      classId,
+      probability,
+      candidates,
+    } of steps) {
+      if (
+        options.collapseRepeats &&
+        classId === prevClassId
+      ) {
+        continue;
+      }
+      characters.push({
+        char: this.config.charList[classId],
+        probability,
+        ...(candidates && { candidates }),
+      });
+      prevClassId = classId;
+    }
+
+    return {
+      text: characters.map((c) => c.char).join(''),
+      characters,
+      confidence: aggregateConfidence(
+        stepProbabilities,
+        options.confidenceAggregation
+      ),
+      truncated,
+    };
+  }
+
+  /**
+   * 貪欲法によるデコード（参考版準拠）
+   * 各位置で最大確率のトークンを選び、<eos> が出たら終了する
+   *
+   * @param {Float32Array} logits 全ステップのロジット（書き換える）
+   * @param {number} seqLength 出力系列の長さ
+   * @param {number} vocabSize 語彙数
+   * @param {Object} options 認識オプション（resolveOptions の結果）
+   * @returns {{steps: Array<Object>, stepProbabilities: number[], truncated: boolean}} 選んだ文字と確率
+   */
+  greedySearch(logits, seqLength, vocabSize, options) {
+    const steps = [];
+    // 系列の確信度に含める確率（<eos> を含む）
+    const stepProbabilities = [];
+    const constraints = this.getConstraints(options);
+    // 直前までの出力と一致する辞書の語の接頭辞（トライ木のノード）
+    let lexiconNodes = [];
 
     for (let i = 0; i < seqLength; i++) {
-      const scores = [];
-      for (let j = 0; j < vocabSize; j++) {
-        scores.push(logits[i * vocabSize + j]);
+      const stepLogits = logits.subarray(
+        i * vocabSize,
+        (i + 1) * vocabSize
+      );
+      if (constraints) {
+        maskLogits(stepLogits, constraints);
+        boostLexicon(
+          stepLogits,
+          lexiconNodes,
+          options.lexiconBoost
+        );
       }
+      const probabilities = this.softmax(stepLogits);
 
-      // 最大スコアとインデックスを取得
-      const maxScore = Math.max(...scores);
-      const maxIndex = scores.indexOf(maxScore);
+      // 最大確率のインデックスを取得
+      let maxIndex = 0;
+      for (let j = 1; j < vocabSize; j++) {
+        if (probabilities[j] > probabilities[maxIndex]) {
+          maxIndex = j;
+        }
+      }
 
       // <eos> トークン（ID=0）が出たら終了（Pythonと一致）
-      if (maxIndex === 0) break;
+      if (maxIndex === 0) {
+        stepProbabilities.push(probabilities[0]);
+        return {
+          steps,
+          stepProbabilities,
+          truncated: false,
+        };
+      }
 
-      // 特殊トークン（<s>, </s>, <pad>, <unk>）は除外
-      if (maxIndex < 4) continue;
+      // 特殊トークン（<s>, </s>, <pad>, <unk>）と文字リストにないトークンは除外
+      if (!this.isCharacterToken(maxIndex)) {
+        continue;
+      }
 
-      resultClassIds.push(maxIndex - 1); // Pythonと同様に charlist の 0-index に合わせる
+      steps.push(
+        this.createStep(maxIndex, probabilities, options)
+      );
+      stepProbabilities.push(probabilities[maxIndex]);
+      if (constraints) {
+        lexiconNodes = advanceLexicon(
+          constraints.lexicon,
+          lexiconNodes,
+          maxIndex
+        );
+      }
     }
-    console.log('認識結果のクラスID:', resultClassIds);
-    // 文字リストから文字を取得
-    const resultText = [];
 
-    // 連続を除外して文字列を作成（参考版と完全一致）
-    let prevClassId = -1;
-    for (const classId of resultClassIds) {
-      if (classId !== prevClassId) {
-        resultText.push(this.config.charList[classId]);
-        prevClassId = classId;
+    // <eos> が出ないまま出力系列の長さに達した（最大文字列長で打ち切られた）
+    return { steps, stepProbabilities, truncated: true };
+  }
+
+  /**
+   * ビームサーチによるデコード
+   * 各位置で確率の高い beamWidth 個のトークンで系列を広げ、
+   * モデルの対数確率に言語モデルの対数確率の lmWeight 倍を加えたスコアの上位 beamWidth 件を残す
+   * 言語モデルは文字ごとに負の対数確率を加えて短い系列を有利にするため、文字ごとに lengthBonus を加えて補う
+   * 言語モデルがない場合はモデルの確率のみで評価する（beamWidth が 1 なら貪欲法と同じ）
+   *
+   * @param {Float32Array} logits 全ステップのロジット（書き換える）
+   * @param {number} seqLength 出力系列の長さ
+   * @param {number} vocabSize 語彙数
+   * @param {Object} options 認識オプション（resolveOptions の結果）
+   * @returns {{steps: Array<Object>, stepProbabilities: number[], truncated: boolean}} 最良の系列の文字と確率
+   */
+  beamSearch(logits, seqLength, vocabSize, options) {
+    const { beamWidth, lmWeight } = options;
+    const constraints = this.getConstraints(options);
+    const languageModel =
+      lmWeight > 0 ? this.languageModel : null;
+    const lengthBonus =
+      options.lengthBonus ??
+      (languageModel?.entropy
+        ? lmWeight * languageModel.entropy
+        : 0);
+
+    // tokens: 選んだトークンとその位置の確率、score: 対数確率の和
+    let beams = [
+      {
+        tokens: [],
+        stepProbabilities: [],
+        chars: [],
+        lexiconNodes: [],
+        score: 0,
+        truncated: true,
+      },
+    ];
+    const finished = [];
+
+    for (
+      let i = 0;
+      i < seqLength && beams.length > 0;
+      i++
+    ) {
+      const stepLogits = logits.subarray(
+        i * vocabSize,
+        (i + 1) * vocabSize
+      );
+      if (constraints) maskLogits(stepLogits, constraints);
+      const shared = this.softmax(stepLogits);
+
+      const expanded = [];
+      for (const beam of beams) {
+        // 辞書の語の途中にある系列は、続きの文字を後押ししたロジットから確率を求める
+        let probabilities = shared;
+        if (
+          beam.lexiconNodes.length > 0 &&
+          options.lexiconBoost > 0
+        ) {
+          const boosted = Float32Array.from(stepLogits);
+          boostLexicon(
+            boosted,
+            beam.lexiconNodes,
+            options.lexiconBoost
+          );
+          probabilities = this.softmax(boosted);
+        }
+
+        for (const {
+          tokenId,
+          probability,
+        } of topCandidates(probabilities, beamWidth, 0)) {
+          const score = beam.score + Math.log(probability);
+
+          // <eos> で系列を終える
+          if (tokenId === 0) {
+            finished.push({
+              ...beam,
+              stepProbabilities: [
+                ...beam.stepProbabilities,
+                probability,
+              ],
+              score:
+                score +
+                (languageModel
+                  ? lmWeight *
+                    languageModel.score(beam.chars, '</s>')
+                  : 0),
+              truncated: false,
+            });
+            continue;
+          }
+
+          // 特殊トークンと文字リストにないトークンは文字を出力せずに位置を進める
+          if (!this.isCharacterToken(tokenId)) {
+            expanded.push({ ...beam, score });
+            continue;
+          }
+
+          const char = this.config.charList[tokenId - 1];
+          expanded.push({
+            tokens: [
+              ...beam.tokens,
+              { tokenId, probabilities },
+            ],
+            stepProbabilities: [
+              ...beam.stepProbabilities,
+              probability,
+            ],
+            chars: [...beam.chars, char],
+            lexiconNodes: constraints
+              ? advanceLexicon(
+                  constraints.lexicon,
+                  beam.lexiconNodes,
+                  tokenId
+                )
+              : [],
+            score:
+              score +
+              lengthBonus +
+              (languageModel
+                ? lmWeight *
+                  languageModel.score(beam.chars, char)
+                : 0),
+            truncated: true,
+          });
+        }
       }
+
+      beams = expanded
+        .sort((a, b) => b.score - a.score)
+        .slice(0, beamWidth);
     }
 
-    return resultText.join('');
+    // 出力系列の長さに達した系列は打ち切られたものとして比べる
+    const best = [...finished, ...beams].reduce((a, b) =>
+      b.score > a.score ? b : a
+    );
+    return {
+      steps: best.tokens.map(({ tokenId, probabilities }) =>
+        this.createStep(tokenId, probabilities, options)
+      ),
+      stepProbabilities: best.stepProbabilities,
+      truncated: best.truncated,
+    };
+  }
+
+  /**
+   * 文字として出力するトークンか
+   * 特殊トークン（<s>, </s>, <pad>, <unk>）と文字リストにないトークンは除外する
+   */
+  isCharacterToken(tokenId) {
+    return (
+      tokenId >= 4 && tokenId <= this.config.charList.length
+    );
+  }
+
+  /**
+   * 選んだトークンの文字と確率、候補をまとめる
+   */
+  createStep(tokenId, probabilities, options) {
+    return {
+      classId: tokenId - 1, // Pythonと同様に charlist の 0-index に合わせる
+      probability: probabilities[tokenId],
+      // 確率の高い順の候補（最大確率の文字を含む）
+      candidates:
+        options.candidateCount > 0
+          ? topCandidates(
+              probabilities.subarray(
+                0,
+                this.config.charList.length + 1
+              ),
+              options.candidateCount
+            ).map(({ tokenId: id, probability }) => ({
+              char: this.config.charList[id - 1],
+              probability,
+            }))
+          : null,
+    };
   }
 
   /**
    * 出力のデコード（Wrapper）
+   *
+   * @param {Object} output モデルの出力結果
+   * @param {number} index バッチ内の位置
+   * @param {Object} options 認識オプション（resolveOptions の結果）
    */
-  decodeOutput(output) {
+  decodeOutput(
+    output,
+    index = 0,
+    options = this.resolveOptions()
+  ) {
     try {
-      const text = this.postprocess(output);
+      const { characters, confidence, truncated } =
+        this.postprocess(output, index, options);
+      // 前後の空白を除き、文字ごとの確率と対応させる
+      let start = 0;
+      let end = characters.length;
+      while (
+        start < end &&
+        !characters[start].char.trim()
+      ) {
+        start++;
+      }
+      while (
+        end > start &&
+        !characters[end - 1].char.trim()
+      ) {
+        end--;
+      }
+      const trimmed = characters.slice(start, end);
       return {
-        text: text.trim(),
-        confidence: 0.9, // 固定値（簡易実装）
-        rawPredictions: [],
+        text: trimmed.map((c) => c.char).join(''),
+        confidence,
+        characters: trimmed,
+        truncated,
       };
     } catch (error) {
       console.error('Error decoding output:', error);
@@ -398,6 +1004,7 @@ export class TextRecognizer {
         text: '',
         confidence: 0.0,
         error: error.message,
+        code: OCRErrorCode.INFERENCE_FAILED,
       };
     }
   }
@@ -433,7 +1040,7 @@ export class TextRecognizer {
       const outputs = await this.session.run(feeds);
 
       // 後処理
-      const text = this.postprocess(outputs);
+      const { text } = this.postprocess(outputs);
       return text;
     } catch (error) {
       console.error(
@@ -447,32 +1054,506 @@ export class TextRecognizer {
   }
 
   /**
-   * ソフトマックス関数（簡易版）
+   * 認識オプションからデコードの制約を作成
+   * 出力しない文字のトークンIDと、辞書の語をトークンIDの列にしたトライ木からなる
+   * 同じ指定が続く場合は前回の結果を再利用する
+   *
+   * @param {Object} options 認識オプション（resolveOptions の結果）
+   * @returns {Object|null} 制約（指定がない場合は null）
+   */
+  getConstraints(options) {
+    const {
+      allowedCharacters,
+      disallowedCharacters,
+      lexicon,
+    } = options;
+    if (
+      allowedCharacters === null &&
+      disallowedCharacters === null &&
+      !lexicon?.length
+    ) {
+      return null;
+    }
+    const key = JSON.stringify([
+      allowedCharacters,
+      disallowedCharacters,
+      lexicon,
+    ]);
+    if (this.constraints?.key === key) {
+      return this.constraints;
+    }
+
+    // トークンIDは文字リストの位置 + 1（特殊トークンの ID 0〜3 は対象外）
+    const { charList } = this.config;
+    const allowed =
+      allowedCharacters !== null &&
+      new Set(allowedCharacters.split(''));
+    const disallowed = new Set(
+      (disallowedCharacters ?? '').split('')
+    );
+    const masked = [];
+    const tokenIds = new Map();
+    charList.forEach((char, i) => {
+      if (i + 1 < 4) return;
+      if (
+        (allowed && !allowed.has(char)) ||
+        disallowed.has(char)
+      ) {
+        masked.push(i + 1);
+      } else if (!tokenIds.has(char)) {
+        tokenIds.set(char, i + 1);
+      }
+    });
+
+    // 出力できない文字を含む語は辞書から除く
+    const root = new Map();
+    for (const word of lexicon ?? []) {
+      const tokens = word
+        .split('')
+        .map((char) => tokenIds.get(char));
+      if (tokens.length < 2 || tokens.includes(undefined)) {
+        continue;
+      }
+      let node = root;
+      for (const tokenId of tokens) {
+        if (!node.has(tokenId))
+          node.set(tokenId, new Map());
+        node = node.get(tokenId);
+      }
+    }
+
+    this.constraints = {
+      key,
+      masked: Uint32Array.from(masked),
+      // 許可する文字を指定した場合は、文字リストにないトークンも出力しない
+      maskUnknown: Boolean(allowed),
+      charsetSize: charList.length,
+      lexicon: root,
+    };
+    return this.constraints;
+  }
+
+  /**
+   * ソフトマックス関数
+   *
+   * @param {ArrayLike<number>} logits 1ステップ分のロジット
+   * @returns {Float32Array} 語彙全体の確率
    */
-  softmax(x) {
-    const exp = Math.exp(x);
-    return exp / (exp + 1); // 二値分類的簡略化
+  softmax(logits) {
+    let max = -Infinity;
+    for (let i = 0; i < logits.length; i++) {
+      if (logits[i] > max) max = logits[i];
+    }
+    const probabilities = new Float32Array(logits.length);
+    let sum = 0;
+    for (let i = 0; i < logits.length; i++) {
+      probabilities[i] = Math.exp(logits[i] - max);
+      sum += probabilities[i];
+    }
+    for (let i = 0; i < logits.length; i++) {
+      probabilities[i] /= sum;
+    }
+    return probabilities;
   }
 
   /**
    * バッチ処理で複数領域を認識
+   * 前処理した領域を1つのテンソルにまとめて推論し、出力を領域ごとに分けてデコードする
+   * 各ステップの所要時間は profiler に記録する
+   *
+   * @param {OffscreenCanvas|ImageData} imageData ソース画像
+   * @param {Array<Object>} regions 認識する領域
+   * @param {Object} options 処理オプション
+   * @param {Profiler} profiler
+   * @returns {Promise<Array<Object>>} 領域ごとの認識結果（text に recognize() と同じ形式の結果、
+   *   recognitionTime にその領域の切り出し・前処理・デコードの所要時間（ミリ秒、バッチ単位の推論を除く））
    */
-  async recognizeBatch(imageData, regions) {
-    const results = [];
-
-    for (let i = 0; i < regions.length; i++) {
-      const region = regions[i];
-      const result = await this.recognize(
-        imageData,
-        region
-      );
-      results.push({
+  async recognizeBatch(
+    imageData,
+    regions,
+    options = {},
+    profiler = new Profiler()
+  ) {
+    if (!this.initialized) {
+      throw new Error('Text recognizer not initialized');
+    }
+
+    // ImageData が渡された場合のみ、ジョブ内で一度だけキャンバスに展開する
+    const source = toSourceCanvas(imageData);
+    const [, channels, height, width] =
+      this.config.inputShape;
+    const size = channels * height * width;
+    const recognitionOptions = this.resolveOptions(options);
+    const batchSize = this.getBatchSize(options);
+
+    // 長い行は区間に分割し、区間ごとに1行として推論する
+    const lines = regions.flatMap((region, index) =>
+      this.splitLine(region, recognitionOptions).map(
+        (segment) => ({ index, segment })
+      )
+    );
+    const results = new Array(lines.length);
+    const times = new Array(lines.length).fill(0);
+
+    for (
+      let start = 0;
+      start < lines.length;
+      start += batchSize
+    ) {
+      // 前処理結果は再利用するバッファに詰めて書き込む
+      const buffer = this.getInputBuffer(batchSize);
+      const items = [];
+      lines
+        .slice(start, start + batchSize)
+        .forEach(({ segment: region }, j) => {
+          const lineStart = performance.now();
+          try {
+            const line = profiler.measureSync('crop', () =>
+              this.drawLine(source, region)
+            );
+            profiler.measureSync(
+              'recognitionPreprocess',
+              () =>
+                this.writeTensor(
+                  line,
+                  buffer,
+                  items.length * size
+                )
+            );
+            items.push({ index: start + j, time: 0 });
+          } catch (error) {
+            console.error(
+              'Text recognition failed:',
+              error
+            );
+            results[start + j] = failedResult(error);
+          }
+          times[start + j] = performance.now() - lineStart;
+        });
+
+      if (items.length > 0) {
+        await this.inferBatch(
+          items,
+          results,
+          recognitionOptions,
+          profiler
+        );
+        // デコードの所要時間を加える
+        for (const item of items) {
+          times[item.index] += item.time;
+        }
+      }
+    }
+
+    return regions.map((region, index) => {
+      const parts = lines
+        .map((line, i) => ({
+          ...line,
+          result: results[i],
+          time: times[i],
+        }))
+        .filter((line) => line.index === index);
+      return {
         ...region,
-        text: result,
-      });
+        text: this.mergeSegments(
+          parts.map((part) => part.result),
+          parts.map((part) => part.segment),
+          recognitionOptions
+        ),
+        recognitionTime: parts.reduce(
+          (sum, part) => sum + part.time,
+          0
+        ),
+      };
+    });
+  }
+
+  /**
+   * 縦横比から文字数がモデルの最大文字列長を超えると見込まれる行を、
+   * 文字の並ぶ方向に重なりのある区間へ分割する
+   *
+   * @param {Object} region 行の領域
+   * @param {Object} options 認識オプション（resolveOptions の結果）
+   * @returns {Array<Object>} 区間の領域（分割しない場合は元の領域のみ）
+   */
+  splitLine(region, options) {
+    const vertical = region.height > region.width;
+    const long = vertical ? region.height : region.width;
+    const short = vertical ? region.width : region.height;
+    if (
+      !options.splitLongLines ||
+      !(long / short > options.maxLineAspectRatio)
+    ) {
+      return [region];
     }
 
-    return results;
+    // 区間の長さを保ったまま、行全体を均等な間隔で覆う
+    const length = short * options.segmentAspectRatio;
+    const overlap = short * options.segmentOverlap;
+    const count = Math.ceil(
+      (long - overlap) / (length - overlap)
+    );
+    const step = (long - length) / (count - 1);
+
+    return Array.from({ length: count }, (_, i) => {
+      const from = Math.round(i * step);
+      const to = Math.round(i * step + length);
+      return vertical
+        ? {
+            x: region.x,
+            y: region.y + from,
+            width: region.width,
+            height: to - from,
+          }
+        : {
+            x: region.x + from,
+            y: region.y,
+            width: to - from,
+            height: region.height,
+          };
+    });
+  }
+
+  /**
+   * 区間ごとの認識結果を結合
+   * 重なり部分で一致する最長の文字列を境に前後の区間をつなぎ、重複を除く
+   * 区間の端で切れた文字は一致しないため、境より外側の文字は捨てる
+   * 一致が MIN_OVERLAP_MATCH 文字に満たない場合は、文字が区間内に均等に並ぶとみなして
+   * 重なり部分の中央で切る
+   * 認識に失敗した区間は除いて結合し、その範囲を failedSegments に記録する
+   * （失敗した区間の前後は重なりがないため、そのままつなぐ）
+   *
+   * @param {Array<Object>} segments 区間ごとの認識結果
+   * @param {Array<Object>} regions 区間の領域（segments と同じ順）
+   * @param {Object} options 認識オプション（resolveOptions の結果）
+   */
+  mergeSegments(segments, regions, options) {
+    if (segments.length === 1) return segments[0];
+    const failedSegments = [];
+    const succeeded = [];
+    segments.forEach((segment, s) => {
+      if (segment.error) {
+        const { x, y, width, height } = regions[s];
+        failedSegments.push({
+          x,
+          y,
+          width,
+          height,
+          error: segment.error,
+          code: segment.code,
+        });
+      } else {
+        succeeded.push(s);
+      }
+    });
+    // すべての区間が失敗した場合は行全体の失敗とする
+    if (succeeded.length === 0) return segments[0];
+
+    // 文字の並ぶ方向の区間の範囲と、区間内の各文字の推定位置
+    const vertical = regions[0].height > regions[0].width;
+    const span = (region) =>
+      vertical
+        ? [region.y, region.y + region.height]
+        : [region.x, region.x + region.width];
+    const positions = (chars, region) => {
+      const [from, to] = span(region);
+      return chars.map(
+        (_, k) =>
+          from + ((k + 0.5) * (to - from)) / chars.length
+      );
+    };
+
+    // 重なり部分に含まれる文字数の目安（端で切れた文字の分を加える）
+    const window = Math.ceil(options.segmentOverlap) + 2;
+    let characters = segments[succeeded[0]].characters;
+    let charPositions = positions(
+      characters,
+      regions[succeeded[0]]
+    );
+    for (let k = 1; k < succeeded.length; k++) {
+      const s = succeeded[k];
+      const next = segments[s].characters;
+      const nextPositions = positions(next, regions[s]);
+      if (s !== succeeded[k - 1] + 1) {
+        characters = [...characters, ...next];
+        charPositions = [
+          ...charPositions,
+          ...nextPositions,
+        ];
+        continue;
+      }
+      const overlap = findOverlap(
+        characters.map((c) => c.char),
+        next.map((c) => c.char),
+        window
+      );
+      if (!overlap || overlap.length < MIN_OVERLAP_MATCH) {
+        const middle =
+          (span(regions[s])[0] + span(regions[s - 1])[1]) /
+          2;
+        const kept = charPositions.filter(
+          (position) => position < middle
+        ).length;
+        const skipped = nextPositions.filter(
+          (position) => position < middle
+        ).length;
+        characters = [
+          ...characters.slice(0, kept),
+          ...next.slice(skipped),
+        ];
+        charPositions = [
+          ...charPositions.slice(0, kept),
+          ...nextPositions.slice(skipped),
+        ];
+        continue;
+      }
+      const { endA, endB, length } = overlap;
+      // 一致した文字は確率の高い方の結果を用いる
+      const shared = characters
+        .slice(endA - length, endA)
+        .map((c, k) =>
+          next[endB - length + k].probability >
+          c.probability
+            ? next[endB - length + k]
+            : c
+        );
+      characters = [
+        ...characters.slice(0, endA - length),
+        ...shared,
+        ...next.slice(endB),
+      ];
+      charPositions = [
+        ...charPositions.slice(0, endA),
+        ...nextPositions.slice(endB),
+      ];
+    }
+
+    return {
+      text: characters.map((c) => c.char).join(''),
+      confidence: aggregateConfidence(
+        characters.map((c) => c.probability),
+        options.confidenceAggregation
+      ),
+      characters,
+      truncated: segments.some(
+        (segment) => segment.truncated
+      ),
+      segments: segments.length,
+      failedSegments,
+    };
+  }
+
+  /**
+   * 前処理済みの領域をまとめて推論し、結果を results に格納
+   * 領域ごとのデコードの所要時間は items の time に加える
+   * items の入力は inputBuffer の先頭から順に書き込まれている
+   * バッチ次元が固定のモデルでは、そのサイズに満たない分をゼロで埋める
+   */
+  async inferBatch(items, results, options, profiler) {
+    const [, channels, height, width] =
+      this.config.inputShape;
+    const size = channels * height * width;
+    const runSize =
+      this.dynamicBatch === false
+        ? this.fixedBatchSize
+        : items.length;
+    if (items.length > runSize) {
+      for (
+        let start = 0;
+        start < items.length;
+        start += runSize
+      ) {
+        // 推論済みの位置に次の領域の入力を詰める
+        if (start > 0) {
+          this.inputBuffer.copyWithin(
+            0,
+            start * size,
+            Math.min(items.length, start + runSize) * size
+          );
+        }
+        await this.inferBatch(
+          items.slice(start, start + runSize),
+          results,
+          options,
+          profiler
+        );
+      }
+      return;
+    }
+
+    const buffer = this.getInputBuffer(runSize);
+    buffer.fill(0, items.length * size, runSize * size);
+    const inputTensor = new ort.Tensor(
+      'float32',
+      buffer.subarray(0, runSize * size),
+      [runSize, channels, height, width]
+    );
+
+    let output;
+    try {
+      output = await profiler.measure(
+        'recognitionInference',
+        () => this.runInference(inputTensor)
+      );
+    } catch (error) {
+      // バッチ次元を判定できなかったモデルは、固定とみなして設定のバッチサイズで再試行
+      if (this.dynamicBatch === null && items.length > 1) {
+        console.warn(
+          '複数領域の推論に失敗しました。バッチ次元が固定のモデルとして再試行します:',
+          error
+        );
+        this.dynamicBatch = false;
+        this.fixedBatchSize = this.config.inputShape[0];
+        return this.inferBatch(
+          items,
+          results,
+          options,
+          profiler
+        );
+      }
+      console.error('Text recognition failed:', error);
+      for (const item of items) {
+        results[item.index] = failedResult(error);
+      }
+      return;
+    }
+    if (this.dynamicBatch === null && items.length > 1) {
+      this.dynamicBatch = true;
+    }
+
+    items.forEach((item, k) => {
+      const decodeStart = performance.now();
+      results[item.index] = profiler.measureSync(
+        'decoding',
+        () => this.decodeOutput(output, k, options)
+      );
+      item.time += performance.now() - decodeStart;
+    });
+  }
+
+  /**
+   * モデルの入出力情報を取得
+   */
+  getModelInfo() {
+    return {
+      inputShape: [...this.config.inputShape],
+      inputNames: this.session
+        ? [...this.session.inputNames]
+        : [],
+      outputNames: this.session
+        ? [...this.session.outputNames]
+        : [],
+      maxLength: this.config.maxLength,
+      charsetSize: this.config.charList.length,
+      // バッチ次元が固定の場合のサイズ（可変・未判定の場合は null）
+      fixedBatchSize:
+        this.dynamicBatch === false
+          ? this.fixedBatchSize
+          : null,
+      // ビームサーチに用いる言語モデルの情報（設定されていない場合は null）
+      languageModel:
+        this.languageModel?.getInfo?.() ?? null,
+    };
   }
 
   /**
@@ -483,6 +1564,153 @@ export class TextRecognizer {
       this.session.release();
       this.session = null;
     }
+    this.lineCanvas = null;
+    this.lineContext = null;
+    this.inputBuffer = null;
+    this.constraints = null;
     this.initialized = false;
   }
 }
+
+/**
+ * 文字に対応するトークンのうち確率の高い上位 k 件
+ * 特殊トークン（ID 0〜3）は除く（from を指定した場合はそのIDから）
+ */
+function topCandidates(probabilities, k, from = 4) {
+  const top = [];
+  for (
+    let tokenId = from;
+    tokenId < probabilities.length;
+    tokenId++
+  ) {
+    const probability = probabilities[tokenId];
+    // 制約で除外したトークンは候補に含めない
+    if (probability === 0) continue;
+    if (
+      top.length === k &&
+      probability <= top[k - 1].probability
+    ) {
+      continue;
+    }
+    let i = Math.min(top.length, k - 1);
+    top[i] = { tokenId, probability };
+    // 確率の降順を保つよう挿入
+    while (i > 0 && top[i - 1].probability < probability) {
+      top[i] = top[i - 1];
+      top[i - 1] = { tokenId, probability };
+      i--;
+    }
+  }
+  return top;
+}
+
+/**
+ * 1ステップ分のロジットから除外する文字を -Infinity にする
+ *
+ * @param {Float32Array} logits 1ステップ分のロジット（書き換える）
+ * @param {Object} constraints getConstraints の結果
+ */
+function maskLogits(logits, constraints) {
+  for (const tokenId of constraints.masked) {
+    if (tokenId < logits.length) {
+      logits[tokenId] = -Infinity;
+    }
+  }
+  if (constraints.maskUnknown) {
+    logits.fill(-Infinity, constraints.charsetSize + 1);
+  }
+}
+
+/**
+ * 辞書の語の続きとなる文字のロジットに boost を加える
+ *
+ * @param {Float32Array} logits 1ステップ分のロジット（書き換える）
+ * @param {Array<Map>} lexiconNodes 直前までの出力と一致する辞書の語の接頭辞
+ * @param {number} boost 加える値
+ */
+function boostLexicon(logits, lexiconNodes, boost) {
+  if (boost === 0) return;
+  // 複数の語の続きとなる文字も1回だけ加える
+  const boosted = new Set();
+  for (const node of lexiconNodes) {
+    for (const tokenId of node.keys()) {
+      if (!boosted.has(tokenId)) {
+        logits[tokenId] += boost;
+        boosted.add(tokenId);
+      }
+    }
+  }
+}
+
+/**
+ * 出力したトークンに応じて、一致している辞書の語の接頭辞を進める
+ * 語の先頭は確定した文字からのみ始め、2文字目以降を後押しする
+ *
+ * @param {Map} root 辞書のトライ木
+ * @param {Array<Map>} nodes 直前までに一致している接頭辞
+ * @param {number} tokenId 出力したトークン
+ * @returns {Array<Map>} 出力後に一致している接頭辞
+ */
+function advanceLexicon(root, nodes, tokenId) {
+  const next = [];
+  for (const node of [...nodes, root]) {
+    const child = node.get(tokenId);
+    if (child && child.size > 0) next.push(child);
+  }
+  return next;
+}
+
+/**
+ * a の末尾 window 文字と b の先頭 window 文字で一致する最長の文字列を探す
+ *
+ * @returns {{endA: number, endB: number, length: number}|null} 一致の終端位置と長さ
+ */
+function findOverlap(a, b, window) {
+  const startA = Math.max(0, a.length - window);
+  const endB = Math.min(b.length, window);
+  let best = null;
+  // lengths[j] は a[i-1]・b[j-1] で終わる一致の長さ
+  let previous = new Array(endB + 1).fill(0);
+  for (let i = startA + 1; i <= a.length; i++) {
+    const lengths = new Array(endB + 1).fill(0);
+    for (let j = 1; j <= endB; j++) {
+      if (a[i - 1] !== b[j - 1]) continue;
+      lengths[j] = previous[j - 1] + 1;
+      if (!best || lengths[j] > best.length) {
+        best = { endA: i, endB: j, length: lengths[j] };
+      }
+    }
+    previous = lengths;
+  }
+  return best;
+}
+
+/**
+ * 文字ごとの確率から系列の確信度を求める
+ * 'product' は PARSeq と同じく全ステップの確率の積、'mean' は平均
+ */
+function aggregateConfidence(probabilities, method) {
+  if (probabilities.length === 0) return 0;
+  if (method === 'mean') {
+    return (
+      probabilities.reduce((sum, p) => sum + p, 0) /
+      probabilities.length
+    );
+  }
+  return probabilities.reduce(
+    (product, p) => product * p,
+    1
+  );
+}
+
+/**
+ * 認識に失敗した領域の結果
+ */
+function failedResult(error) {
+  return {
+    text: '',
+    confidence: 0.0,
+    error: error.message,
+    code: error.code || OCRErrorCode.INFERENCE_FAILED,
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * 読み順処理のテスト
+ * 指定された領域の認識（RECOGNIZE_REGIONS）と同じく requireText: false を指定した場合に、
+ * テキストのない領域を除外せず入力での位置（inputIndex）を保つことを検証する
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReadingOrderProcessor } from '../src/worker/reading-order.js';
+
+/**
+ * 右から左に並ぶ縦書きの行（入力は左から順）
+ */
+function createBlocks() {
+  return ['い', '', 'は'].map((text, inputIndex) => ({
+    x: 100 + inputIndex * 60,
+    y: 100,
+    width: 40,
+    height: 400,
+    confidence: 1.0,
+    pageIndex: 0,
+    inputIndex,
+    text: { text },
+  }));
+}
+
+test('process: 既定ではテキストのない領域を除外する', () => {
+  const processor = new ReadingOrderProcessor();
+  const ordered = processor.process(createBlocks());
+  assert.deepEqual(
+    ordered.map((block) => block.inputIndex),
+    [2, 0]
+  );
+});
+
+test('process: requireText: false ではテキストのない領域も読み順に含める', () => {
+  const processor = new ReadingOrderProcessor();
+  const ordered = processor.process(createBlocks(), {
+    requireText: false,
+  });
+  assert.deepEqual(
+    ordered.map(({ inputIndex, readingOrder }) => [
+      inputIndex,
+      readingOrder,
+    ]),
+    [
+      [2, 1],
+      [1, 2],
+      [0, 3],
+    ]
+  );
+  assert.equal(ordered[1].text.text, '');
+});
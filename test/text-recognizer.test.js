@@ -0,0 +1,178 @@
+/**
+ * 文字認識の後処理のテスト
+ * モデルの出力を模したロジット（fixtures/recognition-logits.json）から認識結果を検証する
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { TextRecognizer } from '../src/worker/text-recognizer.js';
+
+const fixture = JSON.parse(
+  await readFile(
+    new URL(
+      './fixtures/recognition-logits.json',
+      import.meta.url
+    )
+  )
+);
+
+// 後処理のデバッグ出力を抑える
+mock.method(console, 'log', () => {});
+
+/**
+ * 後処理に必要な出力名と文字リストのみを設定したリコグナイザー
+ */
+function createRecognizer() {
+  const recognizer = new TextRecognizer();
+  recognizer.session = { outputNames: ['logits'] };
+  recognizer.config.charList = fixture.charList;
+  return recognizer;
+}
+
+/**
+ * fixture の steps からモデルの出力を生成
+ */
+function createOutputs(steps) {
+  const vocabSize = fixture.charList.length + 1;
+  const data = new Float32Array(steps.length * vocabSize);
+  steps.forEach((step, i) => {
+    for (const [token, logit] of Object.entries(step)) {
+      const index = fixture.charList.indexOf(token);
+      assert.ok(
+        token === '<eos>' || index !== -1,
+        `unknown token: ${token}`
+      );
+      const tokenId = token === '<eos>' ? 0 : index + 1;
+      data[i * vocabSize + tokenId] = logit;
+    }
+  });
+  return {
+    logits: { dims: [1, steps.length, vocabSize], data },
+  };
+}
+
+for (const { name, steps, expected } of fixture.cases) {
+  test(`postprocess: ${name}`, () => {
+    const recognizer = createRecognizer();
+    const outputs = createOutputs(steps);
+
+    const result = recognizer.postprocess(
+      outputs,
+      0,
+      recognizer.resolveOptions()
+    );
+    assert.equal(result.text, expected.text);
+    assert.equal(result.truncated, expected.truncated);
+    assert.equal(
+      result.characters.length,
+      [...expected.text].length
+    );
+
+    const collapsed = recognizer.postprocess(
+      outputs,
+      0,
+      recognizer.resolveOptions({ collapseRepeats: true })
+    );
+    assert.equal(collapsed.text, expected.collapsed);
+    assert.equal(collapsed.truncated, expected.truncated);
+
+    // 言語モデルがない場合、ビームサーチも同じ結果になる
+    const beam = recognizer.postprocess(
+      outputs,
+      0,
+      recognizer.resolveOptions({ decoding: 'beam' })
+    );
+    assert.equal(beam.text, expected.text);
+  });
+}
+
+test('greedySearch: 連続する同じ文字を別々のステップとして返す', () => {
+  const recognizer = createRecognizer();
+  const { logits, seqLength, vocabSize } =
+    recognizer.getLogits(
+      createOutputs(fixture.cases[0].steps)
+    );
+
+  const { steps, stepProbabilities, truncated } =
+    recognizer.greedySearch(
+      logits,
+      seqLength,
+      vocabSize,
+      recognizer.resolveOptions()
+    );
+  assert.deepEqual(
+    steps.map(({ classId }) => fixture.charList[classId]),
+    ['こ', 'こ']
+  );
+  // <eos> の確率を含む
+  assert.equal(stepProbabilities.length, 3);
+  assert.equal(truncated, false);
+});
+
+test('postprocess: 確信度は <eos> を含む各ステップの確率の積', () => {
+  const recognizer = createRecognizer();
+  const result = recognizer.postprocess(
+    createOutputs(fixture.cases[0].steps),
+    0,
+    recognizer.resolveOptions()
+  );
+  // 最後のステップは <eos> のロジットが 9、他のトークンは 0
+  const vocabSize = fixture.charList.length + 1;
+  const eosProbability =
+    Math.exp(9) / (Math.exp(9) + vocabSize - 1);
+  const expected = result.characters.reduce(
+    (p, { probability }) => p * probability,
+    eosProbability
+  );
+  assert.ok(Math.abs(result.confidence - expected) < 1e-6);
+});
+
+test('mergeSegments: 失敗した区間を除いて結合し、その範囲を記録する', () => {
+  const recognizer = createRecognizer();
+  const options = recognizer.resolveOptions();
+  const segment = (text) => ({
+    text,
+    confidence: 0.9,
+    characters: [...text].map((char) => ({
+      char,
+      probability: 0.9,
+    })),
+    truncated: false,
+  });
+  const regions = [0, 80, 160].map((y) => ({
+    x: 0,
+    y,
+    width: 10,
+    height: 120,
+  }));
+
+  const result = recognizer.mergeSegments(
+    [
+      segment('こいろは'),
+      {
+        text: '',
+        confidence: 0,
+        error: 'inference failed',
+        code: 'INFERENCE_FAILED',
+      },
+      segment('す人々'),
+    ],
+    regions,
+    options
+  );
+  // 失敗した区間の前後は重なりがないため、そのままつなぐ
+  assert.equal(result.text, 'こいろはす人々');
+  assert.equal(result.error, undefined);
+  assert.equal(result.segments, 3);
+  assert.deepEqual(result.failedSegments, [
+    {
+      x: 0,
+      y: 80,
+      width: 10,
+      height: 120,
+      error: 'inference failed',
+      code: 'INFERENCE_FAILED',
+    },
+  ]);
+});
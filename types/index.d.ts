@@ -5,18 +5,406 @@
 // WebWorker URL取得関数
 export function getWorkerUrl(): URL;
 
+// レイアウト検出の設定
+export interface LayoutSettings {
+  scoreThreshold: number;
+  nmsThreshold: number;
+  minBoxSize: number;
+  maxDetections: number | null;
+  tiling: boolean | 'auto';
+  tileSize: number;
+  tileOverlap: number;
+  tilingThreshold: number;
+}
+
+// 読み順処理の設定
+export interface ReadingOrderSettings {
+  readingDirection: 'vertical' | 'horizontal';
+  columnDirection: 'right-to-left' | 'left-to-right';
+  groupThreshold: number;
+  minConfidence: number;
+  requireText: boolean;
+}
+
+// 見開き分割の設定
+export interface SpreadSettings {
+  splitSpreads: boolean | 'auto';
+  minSpreadAspectRatio: number;
+  gutterSearchRange: number;
+  minGutterWidth: number;
+}
+
+// ページの切り出し範囲（元画像の座標、読み順）
+export interface PageRect {
+  pageIndex: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  polygon?: Array<[number, number]>;
+}
+
+// 向き・傾き補正の設定
+export interface OrientationSettings {
+  correctOrientation: boolean;
+  orientation: 0 | 90 | 180 | 270 | null;
+  deskew: boolean;
+  maxSkewAngle: number;
+  minSkewAngle: number;
+}
+
+// 推定された向き・傾き（度、内容が時計回りに回転している角度）
+export interface OrientationEstimate {
+  orientation: 0 | 90 | 180 | 270;
+  skew: number;
+  // 補正のために画像を時計回りに回転させた角度
+  rotation: number;
+  applied: boolean;
+}
+
+// 印影除去の設定
+export interface StampSettings {
+  removeStamps: boolean;
+  stampHueTolerance: number;
+  stampMinSaturation: number;
+  minStampSize: number;
+}
+
+// 除去した印影の領域（元画像の座標）
+export interface StampRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  // 領域内の印影画素の割合
+  coverage: number;
+  pageIndex: number;
+  polygon?: Array<[number, number]>;
+}
+
+// 文字認識の設定
+export interface RecognitionSettings {
+  recognitionBatchSize: number;
+  confidenceAggregation: 'product' | 'mean';
+  candidateCount: number;
+  collapseRepeats: boolean;
+  splitLongLines: boolean;
+  maxLineAspectRatio: number;
+  segmentAspectRatio: number;
+  segmentOverlap: number;
+  allowedCharacters: string | null;
+  disallowedCharacters: string | null;
+  lexicon: string[] | null;
+  lexiconBoost: number;
+  decoding: 'greedy' | 'beam';
+  beamWidth: number;
+  lmWeight: number;
+  lengthBonus: number | null;
+  // 複数の認識モデルを設定した場合のみ
+  cascadeRouting?: 'aspectRatio' | 'smallest';
+  cascadeRetry?: boolean;
+}
+
+// 画像補正の設定
+export interface EnhancementSettings {
+  grayscale?: boolean;
+  contrastStretch?: boolean;
+  removeBleedThrough?: boolean;
+  bleedThroughThreshold?: number;
+  denoise?: boolean;
+  binarization?: 'sauvola' | 'niblack' | null;
+  enhancementWindowSize?: number | null;
+  binarizationK?: number | null;
+  applyEnhancementTo?: 'both' | 'layout' | 'recognition';
+}
+
+// 適用された画像補正
+export interface EnhancementReport {
+  // 適用順のステップ
+  steps: Array<
+    | 'grayscale'
+    | 'bleedThroughSuppression'
+    | 'contrastStretch'
+    | 'denoise'
+    | 'binarization'
+  >;
+  // 補正した画像を使った処理
+  appliedTo: Array<'layout' | 'recognition'>;
+  windowSize: number | null;
+}
+
+// 入力画像の型定義（ImageBitmap・ArrayBufferはWorkerに転送される）
+export type ImageInput =
+  | ImageData
+  | ImageBitmap
+  | ArrayBuffer
+  | Blob
+  | HTMLImageElement;
+
+// ステージごとの所要時間の集計（ミリ秒）
+export interface StageTiming {
+  total: number;
+  count: number;
+  mean: number;
+  p50: number;
+  p90: number;
+  p99: number;
+  max: number;
+}
+
+// 処理時間のプロファイル
+export interface ProcessingProfile {
+  totalTime: number;
+  stages: {
+    modelLoad?: StageTiming;
+    imageDecode?: StageTiming;
+    orientation?: StageTiming;
+    stampRemoval?: StageTiming;
+    enhancement?: StageTiming;
+    spreadDetection?: StageTiming;
+    layoutPreprocess?: StageTiming;
+    layoutInference?: StageTiming;
+    layoutPostprocess?: StageTiming;
+    layoutMerge?: StageTiming;
+    crop?: StageTiming;
+    recognitionPreprocess?: StageTiming;
+    recognitionInference?: StageTiming;
+    decoding?: StageTiming;
+    region?: StageTiming;
+    readingOrder?: StageTiming;
+    outputGeneration?: StageTiming;
+    [stage: string]: StageTiming | undefined;
+  };
+}
+
+// エラーコード
+export declare const OCRErrorCode: {
+  readonly MODEL_DOWNLOAD_FAILED: 'MODEL_DOWNLOAD_FAILED';
+  readonly MODEL_INIT_FAILED: 'MODEL_INIT_FAILED';
+  readonly INVALID_IMAGE: 'INVALID_IMAGE';
+  readonly INVALID_REGIONS: 'INVALID_REGIONS';
+  readonly INFERENCE_FAILED: 'INFERENCE_FAILED';
+  readonly CONFIG_INVALID: 'CONFIG_INVALID';
+  readonly CANCELLED: 'CANCELLED';
+  readonly WORKER_ERROR: 'WORKER_ERROR';
+  readonly PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH';
+  readonly UNKNOWN: 'UNKNOWN';
+};
+
+export type OCRErrorCodeValue =
+  (typeof OCRErrorCode)[keyof typeof OCRErrorCode];
+
+// 処理の失敗時にrejectされるエラー
+export class OCRError extends Error {
+  constructor(
+    code: OCRErrorCodeValue,
+    message: string,
+    options?: {
+      stage?: string;
+      retryable?: boolean;
+      cause?: Error;
+    }
+  );
+  code: OCRErrorCodeValue;
+  stage: string | null;
+  retryable: boolean;
+  cause?: Error;
+  workerStack?: string;
+
+  static from(
+    error: unknown,
+    code?: OCRErrorCodeValue,
+    stage?: string | null
+  ): OCRError;
+  static fromMessage(data: {
+    error?: string;
+    code?: OCRErrorCodeValue;
+    stage?: string;
+    retryable?: boolean;
+    stack?: string;
+  }): OCRError;
+  toMessage(): {
+    error: string;
+    code: OCRErrorCodeValue;
+    stage: string | null;
+    retryable: boolean;
+  };
+}
+
+// 認識に失敗した領域の警告（長い行の一部の区間のみ失敗した場合は座標が区間の範囲）
+export interface RegionWarning {
+  regionIndex: number;
+  code: OCRErrorCodeValue;
+  stage: string;
+  message: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// 領域によらない警告（言語モデルの読み込みの失敗など）
+export interface JobWarning {
+  regionIndex: null;
+  code: OCRErrorCodeValue;
+  stage: string;
+  message: string;
+}
+
 // OCR処理結果の型定義
 export interface OCRResult {
   txt: string;
-  json?: any;
+  json?: {
+    document: {
+      pages: PageRect[];
+      textBlocks: JSONTextBlock[];
+      stamps: StampRegion[];
+    };
+  };
   xml?: string;
   textBlocks: Array<{
     text: string;
     bbox: [number, number, number, number];
+    // レイアウト検出のスコア
     confidence: number;
+    // 文字認識の確信度
+    recognitionConfidence: number;
+    pageIndex: number;
+    // 認識した領域での位置（recognizeRegions() では入力の regions での位置）
+    inputIndex: number;
+    polygon?: Array<[number, number]>;
   }>;
+  pages: PageRect[];
+  stamps: StampRegion[];
+  orientation: OrientationEstimate | null;
+  enhancement: EnhancementReport;
+  settings: {
+    layout: LayoutSettings | null;
+    spread: SpreadSettings | null;
+    orientation: OrientationSettings | null;
+    stamps: StampSettings;
+    enhancement: Required<EnhancementSettings>;
+    recognition: RecognitionSettings;
+    readingOrder: ReadingOrderSettings;
+  };
+  warnings: Array<RegionWarning | JobWarning>;
+  profile: ProcessingProfile;
+}
+
+// レイアウト検出で得られた領域
+export interface LayoutRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  classId: number;
+  confidence: number;
+  pageIndex: number;
+  readingOrder?: number;
+  polygon?: Array<[number, number]>;
+}
+
+// 前処理のメタデータ
+export interface LayoutMetadata {
+  originalWidth: number;
+  originalHeight: number;
+  maxWH: number | null;
+  inputWidth: number;
+  inputHeight: number;
+  // タイル分割時のタイル（分割しない場合は null）
+  tiles: Array<{
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }> | null;
+}
+
+// レイアウト検出結果の型定義
+export interface LayoutResult {
+  regions: LayoutRegion[];
+  totalRegions: number;
+  metadata: LayoutMetadata;
+  pages: Array<PageRect & { metadata: LayoutMetadata }>;
+  stamps: StampRegion[];
+  orientation: OrientationEstimate;
+  enhancement: EnhancementReport;
+  processingTime: number;
+  settings: {
+    layout: LayoutSettings;
+    spread: SpreadSettings;
+    orientation: OrientationSettings;
+    stamps: StampSettings;
+    enhancement: Required<EnhancementSettings>;
+    readingOrder: ReadingOrderSettings | null;
+  };
+  profile: ProcessingProfile;
+}
+
+// 逐次送信される領域ごとの認識結果
+export interface RegionResult {
+  index: number;
+  total: number;
+  region: {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    classId: number;
+    confidence: number;
+    recognitionConfidence: number;
+    pageIndex: number;
+    inputIndex: number;
+    text: string;
+  };
+}
+
+// 認識された文字とその確率
+export interface CharacterProbability {
+  char: string;
+  probability: number;
+}
+
+// JSON出力のブロック
+export interface JSONTextBlock {
+  id: number;
+  inputIndex: number;
+  pageIndex: number;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  confidence: number;
+  recognitionConfidence: number;
+  polygon?: Array<[number, number]>;
+  text: string;
+  characters: CharacterProbability[];
+  // 文字ごとの確率の高い順の候補（candidateCount を指定した場合のみ）
+  candidates?: CharacterProbability[][];
 }
 
+// 認識対象として渡す領域
+export type InputRegion =
+  | {
+      x: number;
+      y: number;
+      width: number;
+      height: number;
+      [key: string]: any;
+    }
+  | {
+      bbox: [number, number, number, number];
+      [key: string]: any;
+    }
+  | {
+      polygon: Array<[number, number]>;
+      [key: string]: any;
+    }
+  | {
+      points: Array<[number, number]>;
+      [key: string]: any;
+    };
+
 // OCR処理オプションの型定義
 export interface OCROptions {
   outputFormats?: Array<'txt' | 'json' | 'xml'>;
@@ -25,12 +413,70 @@ export interface OCROptions {
     progress: number;
     message: string;
   }) => void;
+  onRegion?: (result: RegionResult) => void;
+  streamRegions?: boolean;
+  scoreThreshold?: number;
+  nmsThreshold?: number;
+  minBoxSize?: number;
+  maxDetections?: number;
+  tiling?: boolean | 'auto';
+  tileSize?: number;
+  tileOverlap?: number;
+  tilingThreshold?: number;
+  splitSpreads?: boolean | 'auto';
+  minSpreadAspectRatio?: number;
+  gutterSearchRange?: number;
+  minGutterWidth?: number;
+  correctOrientation?: boolean;
+  orientation?: 0 | 90 | 180 | 270;
+  deskew?: boolean;
+  maxSkewAngle?: number;
+  minSkewAngle?: number;
+  removeStamps?: boolean;
+  stampHueTolerance?: number;
+  stampMinSaturation?: number;
+  minStampSize?: number;
+  grayscale?: boolean;
+  contrastStretch?: boolean;
+  removeBleedThrough?: boolean;
+  bleedThroughThreshold?: number;
+  denoise?: boolean;
+  binarization?: 'sauvola' | 'niblack' | null;
+  enhancementWindowSize?: number | null;
+  binarizationK?: number | null;
+  applyEnhancementTo?: 'both' | 'layout' | 'recognition';
+  recognitionBatchSize?: number;
+  confidenceAggregation?: 'product' | 'mean';
+  candidateCount?: number;
+  collapseRepeats?: boolean;
+  splitLongLines?: boolean;
+  maxLineAspectRatio?: number;
+  segmentAspectRatio?: number;
+  segmentOverlap?: number;
+  allowedCharacters?: string | null;
+  disallowedCharacters?: string | null;
+  lexicon?: string[] | null;
+  lexiconBoost?: number;
+  decoding?: 'greedy' | 'beam';
+  beamWidth?: number;
+  lmWeight?: number;
+  lengthBonus?: number | null;
+  cascadeRouting?: 'aspectRatio' | 'smallest';
+  cascadeRetry?: boolean;
+  readingDirection?: 'vertical' | 'horizontal';
+  columnDirection?: 'right-to-left' | 'left-to-right';
+  groupThreshold?: number;
+  applyReadingOrder?: boolean;
 }
 
 // 進捗情報の型定義
 export interface ProgressData {
   stage:
     | 'initializing'
+    | 'loading_layout_model'
+    | 'loading_recognition_model'
+    | 'starting_workers'
+    | 'initialized'
     | 'layout_detection'
     | 'text_recognition'
     | 'reading_order'
@@ -39,11 +485,115 @@ export interface ProgressData {
   message: string;
 }
 
+// バッチ処理の進捗情報
+export interface BatchProgressData {
+  stage: string;
+  progress: number;
+  message: string;
+  pageIndex: number;
+  totalPages: number | null;
+  batchProgress: number | null;
+}
+
+// バッチ処理のページごとの結果
+export interface BatchPageResult {
+  pageIndex: number;
+  status: 'success' | 'error';
+  result: OCRResult | null;
+  error: OCRError | null;
+}
+
+// バッチ処理オプションの型定義
+export interface BatchOptions
+  extends Omit<OCROptions, 'onProgress' | 'onRegion'> {
+  onProgress?: (progress: BatchProgressData) => void;
+  onRegion?: (
+    result: RegionResult & { pageIndex: number }
+  ) => void;
+  onPageComplete?: (page: BatchPageResult) => void;
+}
+
+// Workerとのプロトコルバージョン（"メジャー.マイナー"）
+export const PROTOCOL_VERSION: string;
+
+export function isCompatibleProtocol(
+  version: string,
+  expected?: string
+): boolean;
+
+// 読み込み済みモデルの情報
+export interface ModelInfo {
+  id: string | null;
+  inputShape: number[];
+  inputNames: string[];
+  outputNames: string[];
+  maxLength?: number;
+  charsetSize?: number;
+  // バッチ次元が固定の場合のサイズ（可変・未判定の場合は null）
+  fixedBatchSize?: number | null;
+  // ビームサーチに用いる言語モデル（設定されていない場合は null）
+  languageModel?: {
+    order: number;
+    size: number;
+    entropy: number;
+  } | null;
+  // 複数の認識モデルを設定した場合、カスケードを構成する全モデル（最大文字列長の小さい順）
+  cascade?: ModelInfo[];
+}
+
+// Workerの対応機能
+export type WorkerFeature =
+  | 'cancel'
+  | 'streamRegions'
+  | 'recognizeRegions'
+  | 'detectLayout'
+  | 'transferableInput'
+  | 'profile'
+  | 'errorCodes'
+  | 'batchRecognition'
+  | 'tiling'
+  | 'spreadSplitting'
+  | 'orientationCorrection'
+  | 'imageEnhancement'
+  | 'stampRemoval'
+  | 'recognitionConfidence'
+  | 'characterCandidates'
+  | 'collapseRepeats'
+  | 'splitLongLines'
+  | 'recognitionCascade'
+  | 'constrainedDecoding'
+  | 'beamSearch';
+
+// Workerの能力情報（WORKER_READY の内容）
+export interface WorkerCapabilities {
+  protocolVersion: string;
+  models: {
+    layout: ModelInfo | null;
+    recognition: ModelInfo | null;
+  };
+  outputFormats: Array<'txt' | 'json' | 'xml'>;
+  features: WorkerFeature[];
+}
+
 // WebWorkerメッセージの型定義
 export interface WorkerMessage {
-  type: 'INITIALIZE' | 'OCR_PROCESS' | 'TERMINATE';
+  type:
+    | 'INITIALIZE'
+    | 'OCR_PROCESS'
+    | 'RECOGNIZE_REGIONS'
+    | 'DETECT_LAYOUT'
+    | 'CANCEL'
+    | 'TERMINATE';
   id?: string;
+  image?: ImageData | ImageBitmap | ArrayBuffer | Blob;
   imageData?: ImageData;
+  regions?: InputRegion[];
+  protocolVersion?: string;
+  models?: Array<'layout' | 'recognition'>;
+  modelData?: {
+    layout?: ArrayBuffer;
+    recognition?: ArrayBuffer | ArrayBuffer[];
+  };
   config?: {
     outputFormats: Array<'txt' | 'json' | 'xml'>;
     [key: string]: any;
@@ -54,13 +604,21 @@ export interface WorkerResponse {
   type:
     | 'WORKER_READY'
     | 'OCR_PROGRESS'
+    | 'OCR_PARTIAL'
     | 'OCR_COMPLETE'
-    | 'OCR_ERROR';
+    | 'OCR_ERROR'
+    | 'OCR_CANCELLED';
   id?: string;
   stage?: string;
   progress?: number;
   message?: string;
   error?: string;
+  code?: OCRErrorCodeValue;
+  retryable?: boolean;
+  stack?: string;
+  index?: number;
+  total?: number;
+  region?: RegionResult['region'];
   txt?: string;
   json?: any;
   xml?: string;
@@ -69,6 +627,10 @@ export interface WorkerResponse {
     bbox: [number, number, number, number];
     confidence: number;
   }>;
+  protocolVersion?: string;
+  models?: WorkerCapabilities['models'];
+  outputFormats?: WorkerCapabilities['outputFormats'];
+  features?: WorkerFeature[];
 }
 
 // NDLKotenOCRクラス
@@ -78,7 +640,15 @@ export class NDLKotenOCR {
   /**
    * WebWorkerを初期化
    */
-  initialize(): Promise<void>;
+  initialize(options?: {
+    models?: Array<'layout' | 'recognition'>;
+    onProgress?: (progress: ProgressData) => void;
+  }): Promise<WorkerCapabilities>;
+
+  /**
+   * Workerの能力情報を取得（初期化前は null）
+   */
+  getCapabilities(): WorkerCapabilities | null;
 
   /**
    * OCR処理を実行
@@ -86,10 +656,47 @@ export class NDLKotenOCR {
    * @param options - 処理オプション
    */
   processImage(
-    imageInput: ImageData | HTMLImageElement | File,
+    imageInput: ImageInput,
     options?: OCROptions
   ): Promise<OCRResult>;
 
+  /**
+   * 複数ページのOCR処理を順に実行
+   * @param inputs - ページ画像の配列または非同期イテラブル
+   * @param options - 処理オプション
+   */
+  processBatch(
+    inputs: Array<ImageInput> | AsyncIterable<ImageInput>,
+    options?: BatchOptions
+  ): Promise<BatchPageResult[]>;
+
+  /**
+   * 指定した領域のみを文字認識（レイアウト検出を省略）
+   * @param imageInput - 画像データ
+   * @param regions - 認識対象の領域
+   * @param options - 処理オプション
+   */
+  recognizeRegions(
+    imageInput: ImageInput,
+    regions: InputRegion[],
+    options?: OCROptions
+  ): Promise<OCRResult>;
+
+  /**
+   * レイアウト検出のみを実行（文字認識モデルは読み込まない）
+   * @param imageInput - 画像データ
+   * @param options - 処理オプション
+   */
+  detectLayout(
+    imageInput: ImageInput,
+    options?: OCROptions
+  ): Promise<LayoutResult>;
+
+  /**
+   * 処理中のOCRをキャンセル（モデルは保持される）
+   */
+  cancel(): void;
+
   /**
    * WebWorkerを終了
    */
@@ -99,10 +706,19 @@ export class NDLKotenOCR {
 export default NDLKotenOCR;
 
 // ユーティリティ関数
+// 文字認識モデルごとの設定（省略時は text_recognition の値）
+export interface RecognitionModelConfig {
+  url: string;
+  input_shape?: number[];
+  max_length?: number;
+}
+
 export interface Config {
   models: {
     layout: string;
-    recognition: string;
+    recognition:
+      | string
+      | Array<string | RecognitionModelConfig>;
   };
   layout_detection: any;
   text_recognition: any;
@@ -113,7 +729,7 @@ export interface Config {
 export function loadModel(
   modelType: 'layout' | 'recognition',
   onProgress?: (progress: number) => void
-): Promise<ArrayBuffer>;
+): Promise<ArrayBuffer | ArrayBuffer[]>;
 
 export function preloadAllModels(
   onProgress?: (progress: number) => void
@@ -126,25 +742,83 @@ export function clearCache(): Promise<void>;
 export function loadConfig(): Promise<Config>;
 
 export function getModelUrls(): Promise<{
-  [key: string]: string;
+  [key: string]:
+    | string
+    | Array<string | RecognitionModelConfig>;
 }>;
 
 export function getModelUrl(
   modelType: string
-): Promise<string>;
+): Promise<string | Array<string | RecognitionModelConfig>>;
+
+export function getRecognitionModels(): Promise<
+  Array<{
+    url: string;
+    inputShape: number[];
+    maxLength: number;
+  }>
+>;
 
 // 高レベルAPI（既存）
 export interface WorkerMessageHandler {
-  initializeWorker(): Promise<void>;
+  initializeWorker(options?: {
+    models?: Array<'layout' | 'recognition'>;
+  }): Promise<void>;
   processOCR(
     imageData: ImageData,
     options?: any
   ): Promise<OCRResult>;
+  recognizeRegions(
+    imageData: ImageData,
+    regions: InputRegion[],
+    options?: any
+  ): Promise<OCRResult>;
+  detectLayout(
+    imageData: ImageData,
+    options?: any
+  ): Promise<LayoutResult>;
+  getCapabilities(): WorkerCapabilities | null;
   on(event: string, callback: (data: any) => void): void;
+  cancelCurrentTask(): void;
+  cancelAllTasks(): void;
 }
 
 export const workerMessageHandler: WorkerMessageHandler;
 
+// 複数Workerによる並列処理
+export class WorkerPool {
+  constructor(options?: {
+    size?: number;
+    workerUrl?: URL | string;
+  });
+  readonly size: number;
+  initialize(options?: {
+    onProgress?: (progress: ProgressData) => void;
+  }): Promise<void>;
+  processImage(
+    image: ImageData | ImageBitmap | ArrayBuffer | Blob,
+    options?: OCROptions
+  ): Promise<OCRResult>;
+  processBatch(
+    inputs:
+      | Array<ImageData | ImageBitmap | ArrayBuffer | Blob>
+      | AsyncIterable<
+          ImageData | ImageBitmap | ArrayBuffer | Blob
+        >,
+    options?: BatchOptions
+  ): Promise<BatchPageResult[]>;
+  cancelAllTasks(): void;
+  getCapabilities(): WorkerCapabilities | null;
+  getStatus(): {
+    size: number;
+    busyWorkers: number;
+    pendingTasks: number;
+  };
+  on(event: string, callback: (data: any) => void): void;
+  off(event: string, callback: (data: any) => void): void;
+  terminate(): void;
+}
+
 export class FileHandler {
   constructor();
   on(event: string, callback: (data: any) => void): void;